@@ -1,11 +1,37 @@
-const TelegramBot = require('node-telegram-bot-api');
+const TelegramUpdates = require('./telegramUpdates');
 const config = require('./config');
 const ContractService = require('./contractService');
+const ProposalService = require('./proposalService');
+const AuditLog = require('./auditLog');
+const AdminRoles = require('./adminRoles');
+const AdminSigner = require('./adminSigner');
+
+// Commands that become proposals
+const PROPOSAL_ACTIONS = [
+  'pause', 'unpause', 'updateprice', 'setimage', 'planstatus', 'withdraw',
+  'emergency_request', 'emergency_withdraw', 'emergency_cancel'
+];
 
 class TelegramAdminBot {
-  constructor() {
-    this.bot = new TelegramBot(config.adminTelegramBotToken, { polling: true });
+  constructor(services = {}) {
+    this.updates = new TelegramUpdates(config.adminTelegramBotToken, { name: 'admin', label: 'Admin Bot', mode: config.adminBotUpdateMode });
+    this.bot = this.updates.bot;
+    this.apiServer = services.apiServer || null; // receives webhook updates
     this.contractService = new ContractService();
+    this.eventIndexer = services.eventIndexer || null;
+    if (this.eventIndexer) {
+      this.contractService.bindEventIndexer(this.eventIndexer);
+    }
+    this.walletService = services.walletService || null;
+    this.signer = new AdminSigner({ contractService: this.contractService, walletService: this.walletService });
+    this.roles = new AdminRoles();
+    this.executingProposals = new Set(); // proposal IDs being submitted right now
+    this.proposalService = new ProposalService({ getEligibleVoters: (action) => this.getEligibleVoters(action) });
+    this.auditLog = new AuditLog();
+    
+    if (this.walletService) {
+      this.walletService.on('walletConnected', (data) => this.handleSignerConnected(data));
+    }
     
     this.setupCommands();
     this.setupErrorHandling();
@@ -13,31 +39,96 @@ class TelegramAdminBot {
 
   setupCommands() {
     // Basic Commands
-    this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
-    this.bot.onText(/\/help/, (msg) => this.handleHelp(msg));
+    this.route(/\/start/, 'start', (msg) => this.handleStart(msg));
+    this.route(/\/help/, 'help', (msg) => this.handleHelp(msg));
     
     // System Control
-    this.bot.onText(/\/pause/, (msg) => this.handlePause(msg));
-    this.bot.onText(/\/unpause/, (msg) => this.handleUnpause(msg));
-    this.bot.onText(/\/stats/, (msg) => this.handleStats(msg));
+    this.route(/^\/pause\b/, 'pause', (msg) => this.handlePause(msg));
+    this.route(/\/unpause/, 'unpause', (msg) => this.handleUnpause(msg));
+    this.route(/\/stats/, 'stats', (msg) => this.handleStats(msg));
     
     // Plan Management
-    this.bot.onText(/\/updateprice (.+) (.+)/, (msg, match) => this.handleUpdatePrice(msg, match));
-    this.bot.onText(/\/setimage (.+) (.+)/, (msg, match) => this.handleSetImage(msg, match));
-    this.bot.onText(/\/planstatus (.+) (.+)/, (msg, match) => this.handlePlanStatus(msg, match));
+    this.route(/\/updateprice (\S+) (\S+)/, 'updateprice', (msg, match) => this.handleUpdatePrice(msg, match));
+    this.route(/\/setimage (\S+) (\S+)/, 'setimage', (msg, match) => this.handleSetImage(msg, match));
+    this.route(/\/planstatus (\S+) (\S+)/, 'planstatus', (msg, match) => this.handlePlanStatus(msg, match));
     
     // Financial Management
-    this.bot.onText(/\/withdraw (.+) (.+)/, (msg, match) => this.handleWithdraw(msg, match));
-    this.bot.onText(/\/balances/, (msg) => this.handleBalances(msg));
+    this.route(/\/withdraw (\S+) (\S+)/, 'withdraw', (msg, match) => this.handleWithdraw(msg, match));
+    this.route(/\/balances/, 'balances', (msg) => this.handleBalances(msg));
     
     // Emergency Commands
-    this.bot.onText(/\/emergency_request/, (msg) => this.handleEmergencyRequest(msg));
-    this.bot.onText(/\/emergency_withdraw/, (msg) => this.handleEmergencyWithdraw(msg));
-    this.bot.onText(/\/emergency_cancel/, (msg) => this.handleEmergencyCancel(msg));
+    this.route(/\/emergency_request/, 'emergency_request', (msg) => this.handleEmergencyRequest(msg));
+    this.route(/\/emergency_withdraw/, 'emergency_withdraw', (msg) => this.handleEmergencyWithdraw(msg));
+    this.route(/\/emergency_cancel/, 'emergency_cancel', (msg) => this.handleEmergencyCancel(msg));
     
     // Monitoring
-    this.bot.onText(/\/contractinfo/, (msg) => this.handleContractInfo(msg));
-    this.bot.onText(/\/validate/, (msg) => this.handleValidateContract(msg));
+    this.route(/\/contractinfo/, 'contractinfo', (msg) => this.handleContractInfo(msg));
+    this.route(/\/validate/, 'validate', (msg) => this.handleValidateContract(msg));
+    this.route(/\/cycles/, 'cycles', (msg) => this.handleCycles(msg));
+    this.route(/\/events(?:\s+(\w+))?/, 'events', (msg, match) => this.handleEvents(msg, match));
+
+    // Proposals
+    this.route(/\/proposals/, 'proposals', (msg) => this.handleProposals(msg));
+    this.route(/\/proposal (\d+)/, 'proposal', (msg, match) => this.handleProposalDetail(msg, match));
+    this.route(/\/execute (\d+)/, 'execute', (msg, match) => this.handleExecute(msg, match));
+
+    // Audit Log
+    this.route(/^\/audit(?:\s+(.+))?$/, 'audit', (msg, match) => this.handleAudit(msg, match));
+    this.route(/^\/audit_export(?:\s+(.+))?$/, 'audit_export', (msg, match) => this.handleAuditExport(msg, match));
+
+    // Signer Wallet
+    this.route(/\/connect/, 'connect', (msg) => this.handleSignerConnect(msg));
+    this.route(/\/disconnect/, 'disconnect', (msg) => this.handleSignerDisconnect(msg));
+    this.route(/\/signer/, 'signer', (msg) => this.handleSigner(msg));
+
+    // Roles
+    this.route(/\/whoami/, 'whoami', (msg) => this.handleWhoAmI(msg));
+    this.route(/\/roles/, 'roles', (msg) => this.handleRoles(msg));
+
+    // Callback Queries (proposal votes)
+    this.bot.on('callback_query', async (query) => {
+      const result = await this.handleCallbackQuery(query);
+      if (result && result.outcome === 'ignored') return;
+      this.recordAudit(query.from, 'vote', [query.data], result);
+    });
+  }
+
+  // Every command goes through here so permissions are checked in one place
+  // and each invocation lands in the audit log
+  route(pattern, command, handler) {
+    this.bot.onText(pattern, async (msg, match) => {
+      const args = match ? match.slice(1).filter(arg => arg !== undefined) : [];
+
+      if (!this.roles.can(msg.from.id, command)) {
+        await this.handleAccessDenied(msg, command);
+        this.recordAudit(msg.from, command, args, { outcome: 'denied' });
+        return;
+      }
+
+      let result;
+      try {
+        result = await handler(msg, match);
+      } catch (error) {
+        console.error(`Admin command /${command} error:`, error);
+        result = { outcome: 'error', error: error.message };
+      }
+
+      this.recordAudit(msg.from, command, args, result);
+    });
+  }
+
+  recordAudit(from, command, args, result) {
+    const { outcome = 'ok', txHash = null, error = null, proposalId } = result || {};
+
+    this.auditLog.record({
+      userId: from.id,
+      username: from.username || from.first_name,
+      command,
+      args: proposalId ? [...args, `proposal=${proposalId}`] : args,
+      outcome,
+      txHash,
+      error
+    });
   }
 
   setupErrorHandling() {
@@ -50,8 +141,18 @@ class TelegramAdminBot {
     });
   }
 
-  isAuthorized(userId) {
-    return config.adminTelegramUserIds.includes(userId);
+  async handleAccessDenied(msg, command) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || msg.from.first_name;
+
+    if (!this.roles.hasAnyRole(userId)) {
+      await this.sendMessage(chatId, `❌ Access Denied\n\nUser: ${username}\nID: ${userId}\n\nContact system administrator.`);
+      console.warn(`Unauthorized access attempt: ${username} (${userId}) /${command}`);
+      return;
+    }
+
+    await this.sendMessage(chatId, `❌ Access Denied\n\nYour role (${this.roles.getRoles(userId).join(', ')}) cannot use \`/${command}\`\n\n💡 Use \`/whoami\` to see your permissions`);
   }
 
   async sendMessage(chatId, text, options = {}) {
@@ -68,19 +169,13 @@ class TelegramAdminBot {
 
   async handleStart(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
     const username = msg.from.username || msg.from.first_name;
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, `❌ Access Denied\n\nUser: ${username}\nID: ${userId}\n\nContact system administrator.`);
-      console.warn(`Unauthorized access attempt: ${username} (${userId})`);
-      return;
-    }
-
     const welcomeMessage = `
 🔧 *Admin Control Panel*
 
 Welcome *${username}*!
+🔐 Role: *${this.roles.getRoles(msg.from.id).join(', ')}*
 
 🛠️ *System Control:*
 • \`/pause\` - Pause system temporarily
@@ -99,11 +194,30 @@ Welcome *${username}*!
 🚨 *Emergency:*
 • \`/emergency_request\` - Request emergency withdraw
 
+🗳️ *Proposals:*
+• \`/proposals\` - Pending and recent proposals
+• \`/proposal <id>\` - Proposal details and audit trail
+• \`/execute <id>\` - Run an approved proposal that has not been executed
+
+📜 *Audit:*
+• \`/audit [page] [filters]\` - Admin action log
+• \`/audit_export csv|json\` - Download the log
+
+✍️ *Signer:*
+• \`/signer\` - Admin signing mode and wallet
+${this.signer.mode === 'walletconnect' ? '• `/connect` - Connect the owner wallet\n' : ''}
+🔐 *Roles:*
+• \`/whoami\` - Your role and allowed commands
+• \`/roles\` - Role assignments and permissions
+
 📈 *Monitoring:*
 • \`/contractinfo\` - Contract information
 • \`/validate\` - Validate contract integrity
+• \`/cycles\` - Plan cycle progress
+• \`/events [name]\` - Recent indexed contract events
 
 ⚠️ *Warning:* These commands affect the entire system
+🗳️ Contract changes need ${this.proposalService.quorum} admin approvals
     `;
     
     await this.sendMessage(chatId, welcomeMessage);
@@ -111,12 +225,6 @@ Welcome *${username}*!
 
   async handleHelp(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     const helpMessage = `
 🔧 *Admin Commands Reference*
@@ -149,6 +257,35 @@ Welcome *${username}*!
 📈 *System Monitoring:*
 • \`/contractinfo\` - View contract details
 • \`/validate\` - Validate contract integrity
+• \`/cycles\` - Cycle progress and completion estimates per plan
+• \`/events [name]\` - Recent indexed events (e.g. \`/events MemberRegistered\`)
+
+🗳️ *Proposals:*
+• \`/proposals\` - List pending proposals with vote buttons
+• \`/proposal <id>\` - View a proposal and its audit trail
+• \`/execute <id>\` - Run an approved proposal that was not executed (e.g. after a restart)
+• Every system control, plan, financial and emergency command creates a proposal
+• It executes once ${this.proposalService.quorum} admins who may vote on the action approve
+• Actions fewer than ${this.proposalService.quorum} admins may vote on cannot be proposed
+• Proposals expire after ${Math.round(config.proposalTtl / 3600000)} hours
+• Add \`--dry\` to any of these commands to simulate it without creating a proposal
+
+📜 *Audit Log:*
+• \`/audit [page]\` - Every admin command with user, arguments, outcome and TX
+• Filters: \`user=<id>\`, \`command=<name>\`, \`outcome=<outcome>\`, \`since=<date>\`
+• \`/audit_export csv|json [filters]\` - Download as a file
+• Entries are hash-chained, so edits to the log file are detected
+
+✍️ *Admin Signer:*
+• \`/signer\` - Show the signing mode and whether the signer is the contract owner
+• \`/connect\` - Connect the owner wallet (walletconnect mode)
+• \`/disconnect\` - Disconnect the signer wallet
+• Signing mode: ${this.signer.mode} (key = server key, walletconnect = your wallet, safe = multisig JSON export)
+
+🔐 *Roles:*
+• \`/whoami\` - Show your role and the commands you can use
+• \`/roles\` - Show all role assignments and the permission matrix
+• Roles: viewer (read-only), operator (system and plans), treasurer (withdrawals), superadmin (everything)
 
 📋 *Usage Examples:*
 \`/updateprice 1 1.5\` - Change Plan 1 price to 1.5 USDT
@@ -160,12 +297,13 @@ Welcome *${username}*!
 • These commands affect the entire system
 • Verify parameters before sending
 • Emergency withdraw has 48-hour timelock
-• Only authorized Admin User IDs allowed
+• Proposals are only executed after quorum approval
+• Commands are limited by your role
 
 🌐 *System Information:*
 • Network: ${config.networkName}
 • Contract: \`${config.contractAddress}\`
-• Admin Users: ${config.adminTelegramUserIds.length} users
+• Admin Users: ${this.roles.getUserIds().length} users
 
 💡 *Tips:*
 • Use \`/stats\` for system overview
@@ -177,21 +315,18 @@ Welcome *${username}*!
   }
 
   async handlePause(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    return await this.propose(msg, 'pause', {}, 'Pause system');
+  }
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
+  async executePause(chatId, signerId, options = {}) {
+    await this.sendMessage(chatId, '⏳ Pausing system...');
 
-    try {
-      await this.sendMessage(chatId, '⏳ Pausing system...');
-      
-      const tx = await this.contractService.setPaused(true);
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
-      
-      await this.sendMessage(chatId, `
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('pause'), options);
+    if (!tx) return null;
+
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *System Paused*
 
 🔴 Status: PAUSED
@@ -204,30 +339,24 @@ Welcome *${username}*!
 • System stops accepting new transactions
 
 💡 Use \`/unpause\` to resume system
-      `);
+    `);
 
-    } catch (error) {
-      console.error('Pause error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleUnpause(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    return await this.propose(msg, 'unpause', {}, 'Resume system');
+  }
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
+  async executeUnpause(chatId, signerId, options = {}) {
+    await this.sendMessage(chatId, '⏳ Resuming system...');
 
-    try {
-      await this.sendMessage(chatId, '⏳ Resuming system...');
-      
-      const tx = await this.contractService.setPaused(false);
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
-      
-      await this.sendMessage(chatId, `
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('unpause'), options);
+    if (!tx) return null;
+
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *System Active*
 
 🟢 Status: ACTIVE
@@ -240,26 +369,17 @@ Welcome *${username}*!
 • Normal transaction processing
 
 📈 Use \`/stats\` to view latest statistics
-      `);
+    `);
 
-    } catch (error) {
-      console.error('Unpause error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleStats(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const { ethers } = require('ethers');
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       
       const stats = await this.contractService.contract.getSystemStats();
       const status = await this.contractService.contract.getContractStatus();
@@ -315,21 +435,16 @@ Welcome *${username}*!
     } catch (error) {
       console.error('Stats error:', error);
       await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
     }
   }
 
   async handleBalances(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const { ethers } = require('ethers');
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const stats = await this.contractService.contract.getSystemStats();
       
       const ownerFunds = ethers.formatUnits(stats[3], usdtDecimals);
@@ -373,17 +488,12 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
     } catch (error) {
       console.error('Balances error:', error);
       await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
     }
   }
 
   async handleUpdatePrice(msg, match) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const planId = parseInt(match[1]);
@@ -391,21 +501,34 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 
       if (isNaN(planId) || planId <= 0) {
         await this.sendMessage(chatId, '❌ Invalid Plan ID');
-        return;
+        return { outcome: 'invalid' };
       }
 
       if (isNaN(newPrice) || newPrice <= 0) {
         await this.sendMessage(chatId, '❌ Invalid price');
-        return;
+        return { outcome: 'invalid' };
       }
 
-      await this.sendMessage(chatId, '⏳ Updating price...');
+      return await this.propose(msg, 'updateprice', { planId, newPrice: newPrice.toString() },
+        `Update Plan ${planId} price to ${newPrice} USDT`);
+
+    } catch (error) {
+      console.error('UpdatePrice error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
 
-      const priceInWei = await this.contractService.parsePrice(newPrice.toString());
-      const tx = await this.contractService.updatePlanPrice(planId, priceInWei);
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+  async executeUpdatePrice(chatId, signerId, { planId, newPrice }, options = {}) {
+    await this.sendMessage(chatId, '⏳ Updating price...');
 
-      await this.sendMessage(chatId, `
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('updateprice', { planId, newPrice }), options);
+    if (!tx) return null;
+    this.contractService.invalidatePlans();
+
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *Price Update Successful!*
 
 📋 *Details:*
@@ -414,22 +537,13 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 • Time: ${new Date().toLocaleString('en-US')}
 
 💡 Users will see new price immediately
-      `);
+    `);
 
-    } catch (error) {
-      console.error('UpdatePrice error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleSetImage(msg, match) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const planId = parseInt(match[1]);
@@ -437,20 +551,33 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 
       if (isNaN(planId) || planId <= 0) {
         await this.sendMessage(chatId, '❌ Invalid Plan ID');
-        return;
+        return { outcome: 'invalid' };
       }
 
       if (!imageUri || imageUri.length === 0) {
         await this.sendMessage(chatId, '❌ Invalid Image URI');
-        return;
+        return { outcome: 'invalid' };
       }
 
-      await this.sendMessage(chatId, '⏳ Setting image...');
+      return await this.propose(msg, 'setimage', { planId, imageUri }, `Set Plan ${planId} image to ${imageUri}`);
+
+    } catch (error) {
+      console.error('SetImage error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  async executeSetImage(chatId, signerId, { planId, imageUri }, options = {}) {
+    await this.sendMessage(chatId, '⏳ Setting image...');
 
-      const tx = await this.contractService.setPlanDefaultImage(planId, imageUri);
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('setimage', { planId, imageUri }), options);
+    if (!tx) return null;
+    this.contractService.invalidatePlans();
 
-      await this.sendMessage(chatId, `
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *Image Set Successfully!*
 
 📋 *Details:*
@@ -460,22 +587,13 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 • Time: ${new Date().toLocaleString('en-US')}
 
 🖼️ New NFTs will use this image
-      `);
+    `);
 
-    } catch (error) {
-      console.error('SetImage error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handlePlanStatus(msg, match) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const planId = parseInt(match[1]);
@@ -483,15 +601,28 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 
       if (isNaN(planId) || planId <= 0) {
         await this.sendMessage(chatId, '❌ Invalid Plan ID');
-        return;
+        return { outcome: 'invalid' };
       }
 
-      await this.sendMessage(chatId, `⏳ ${status ? 'Enabling' : 'Disabling'} plan...`);
+      return await this.propose(msg, 'planstatus', { planId, status }, `${status ? 'Enable' : 'Disable'} Plan ${planId}`);
 
-      const tx = await this.contractService.setPlanStatus(planId, status);
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+    } catch (error) {
+      console.error('PlanStatus error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
 
-      await this.sendMessage(chatId, `
+  async executePlanStatus(chatId, signerId, { planId, status }, options = {}) {
+    await this.sendMessage(chatId, `⏳ ${status ? 'Enabling' : 'Disabling'} plan...`);
+
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('planstatus', { planId, status }), options);
+    if (!tx) return null;
+    this.contractService.invalidatePlans();
+
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *Plan ${status ? 'Enabled' : 'Disabled'} Successfully!*
 
 📋 *Details:*
@@ -500,22 +631,13 @@ ${balanceStatus === '⚠️' ? '⚠️ *Balance anomaly detected, please investi
 • Time: ${new Date().toLocaleString('en-US')}
 
 ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot register/upgrade to this plan'}
-      `);
+    `);
 
-    } catch (error) {
-      console.error('PlanStatus error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleWithdraw(msg, match) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       const type = match[1].toLowerCase();
@@ -523,34 +645,58 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 
       if (!['owner', 'fee', 'fund'].includes(type)) {
         await this.sendMessage(chatId, '❌ Invalid type. Use: owner, fee, or fund');
-        return;
+        return { outcome: 'invalid' };
       }
 
       if (isNaN(amount) || amount <= 0) {
         await this.sendMessage(chatId, '❌ Invalid amount');
-        return;
+        return { outcome: 'invalid' };
       }
 
-      await this.sendMessage(chatId, '⏳ Withdrawing funds...');
+      const shortfall = await this.checkWithdrawable(type, amount.toString());
+      if (shortfall) {
+        await this.sendMessage(chatId, `❌ ${shortfall}`);
+        return { outcome: 'invalid', error: shortfall };
+      }
 
-      const amountInWei = await this.contractService.parsePrice(amount.toString());
-      let tx;
+      return await this.propose(msg, 'withdraw', { type, amount: amount.toString() },
+        `Withdraw ${amount} USDT from ${type.toUpperCase()} balance`);
 
-      switch (type) {
-        case 'owner':
-          tx = await this.contractService.withdrawOwnerBalance(amountInWei);
-          break;
-        case 'fee':
-          tx = await this.contractService.withdrawFeeBalance(amountInWei);
-          break;
-        case 'fund':
-          tx = await this.contractService.withdrawFundBalance(amountInWei);
-          break;
-      }
+    } catch (error) {
+      console.error('Withdraw error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
 
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+  // Balances come from a quorum of RPC endpoints so a single stale or
+  // faulty node cannot approve a withdrawal. Returns the problem, or null.
+  async checkWithdrawable(type, amount) {
+    const balances = await this.contractService.getVerifiedSystemBalances();
+    const amountInWei = await this.contractService.parsePrice(amount);
 
-      await this.sendMessage(chatId, `
+    if (balances[type] < amountInWei) {
+      const available = await this.contractService.formatPrice(balances[type]);
+      return `Insufficient ${type.toUpperCase()} balance: ${available} USDT available`;
+    }
+    return null;
+  }
+
+  async executeWithdraw(chatId, signerId, { type, amount }, options = {}) {
+    // Balances may have changed while the proposal was collecting votes
+    const shortfall = await this.checkWithdrawable(type, amount);
+    if (shortfall) {
+      throw new Error(shortfall);
+    }
+
+    await this.sendMessage(chatId, '⏳ Withdrawing funds...');
+
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('withdraw', { type, amount }), options);
+    if (!tx) return null;
+
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
+
+    await this.sendMessage(chatId, `
 ✅ *Withdrawal Successful!*
 
 📋 *Details:*
@@ -560,30 +706,24 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 • Time: ${new Date().toLocaleString('en-US')}
 
 💰 Funds sent to owner wallet
-      `);
+    `);
 
-    } catch (error) {
-      console.error('Withdraw error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleEmergencyRequest(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    return await this.propose(msg, 'emergency_request', {}, 'Request emergency withdraw (48h timelock)');
+  }
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
+  async executeEmergencyRequest(chatId, signerId, options = {}) {
+    await this.sendMessage(chatId, '⏳ Requesting Emergency Withdraw...');
 
-    try {
-      await this.sendMessage(chatId, '⏳ Requesting Emergency Withdraw...');
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('emergency_request'), options);
+    if (!tx) return null;
 
-      const tx = await this.contractService.requestEmergencyWithdraw();
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
 
-      await this.sendMessage(chatId, `
+    await this.sendMessage(chatId, `
 🚨 *Emergency Withdraw Request Successful!*
 
 📋 *Details:*
@@ -597,30 +737,24 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 • Or \`/emergency_cancel\` to cancel
 
 ⚠️ *Warning:* Emergency withdraw will withdraw all funds from contract
-      `);
+    `);
 
-    } catch (error) {
-      console.error('EmergencyRequest error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleEmergencyWithdraw(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    return await this.propose(msg, 'emergency_withdraw', {}, 'Execute emergency withdraw of all contract funds');
+  }
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
+  async executeEmergencyWithdraw(chatId, signerId, options = {}) {
+    await this.sendMessage(chatId, '⏳ Executing Emergency Withdraw...');
 
-    try {
-      await this.sendMessage(chatId, '⏳ Executing Emergency Withdraw...');
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('emergency_withdraw'), options);
+    if (!tx) return null;
 
-      const tx = await this.contractService.emergencyWithdraw();
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
 
-      await this.sendMessage(chatId, `
+    await this.sendMessage(chatId, `
 🚨 *Emergency Withdraw Successful!*
 
 📋 *Details:*
@@ -633,30 +767,24 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 • Check wallet balance
 • Consider refunding contract
 • Or temporarily pause service
-      `);
+    `);
 
-    } catch (error) {
-      console.error('EmergencyWithdraw error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleEmergencyCancel(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    return await this.propose(msg, 'emergency_cancel', {}, 'Cancel emergency withdraw request');
+  }
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
+  async executeEmergencyCancel(chatId, signerId, options = {}) {
+    await this.sendMessage(chatId, '⏳ Canceling Emergency Request...');
 
-    try {
-      await this.sendMessage(chatId, '⏳ Canceling Emergency Request...');
+    const tx = await this.submitAdminCall(chatId, signerId, await this.buildAdminCall('emergency_cancel'), options);
+    if (!tx) return null;
 
-      const tx = await this.contractService.cancelEmergencyWithdraw();
-      const explorerUrl = this.contractService.getExplorerUrl(tx.transactionHash);
+    const explorerUrl = this.contractService.getExplorerUrl(tx.hash);
 
-      await this.sendMessage(chatId, `
+    await this.sendMessage(chatId, `
 ✅ *Emergency Request Canceled Successfully!*
 
 📋 *Details:*
@@ -664,23 +792,15 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 • Time: ${new Date().toLocaleString('en-US')}
 
 🔄 System returned to normal state
-      `);
+    `);
 
-    } catch (error) {
-      console.error('EmergencyCancel error:', error);
-      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
-    }
+    return tx;
   }
 
   async handleContractInfo(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
 
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
-
     try {
       const owner = await this.contractService.getContractOwner();
       const isPaused = await this.contractService.isContractPaused();
@@ -688,9 +808,18 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 
       const { ethers } = require('ethers');
       const contractBalance = await this.contractService.usdtContract.balanceOf(config.contractAddress);
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const balanceFormatted = ethers.formatUnits(contractBalance, usdtDecimals);
 
+      const providerHealth = await this.contractService.getProviderHealth(true);
+      const providerLines = providerHealth.map(endpoint => {
+        const host = new URL(endpoint.url).host;
+        const latency = endpoint.latency !== null ? `${endpoint.latency}ms` : 'n/a';
+        const block = endpoint.blockNumber !== null ? ` • block ${endpoint.blockNumber}` : '';
+        const problem = !endpoint.healthy && endpoint.lastError ? `\n   ⚠️ \`${endpoint.lastError.replace(/`/g, "'")}\`` : '';
+        return `${endpoint.healthy ? '🟢' : '🔴'} ${host} • ${latency}${block}${problem}`;
+      }).join('\n');
+
       await this.sendMessage(chatId, `
 📄 *Contract Information*
 
@@ -709,9 +838,13 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
 • Total Plans: ${totalPlans}
 • Explorer: [View Contract](${config.explorerUrl}/address/${config.contractAddress})
 
+🌐 *RPC Providers:*
+${providerLines}
+
 🔧 *Admin Info:*
-• Authorized Users: ${config.adminTelegramUserIds.length}
+• Authorized Users: ${this.roles.getUserIds().length}
 • Your User ID: ${userId}
+• Your Role: ${this.roles.getRoles(userId).join(', ')}
 
 ⏰ *Updated:* ${new Date().toLocaleString('en-US')}
       `);
@@ -719,24 +852,19 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
     } catch (error) {
       console.error('ContractInfo error:', error);
       await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
     }
   }
 
   async handleValidateContract(msg) {
     const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    if (!this.isAuthorized(userId)) {
-      await this.sendMessage(chatId, '❌ Access Denied');
-      return;
-    }
 
     try {
       await this.sendMessage(chatId, '⏳ Validating contract...');
 
       const { ethers } = require('ethers');
       const stats = await this.contractService.contract.getSystemStats();
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       
       const ownerFunds = parseFloat(ethers.formatUnits(stats[3], usdtDecimals));
       const feeFunds = parseFloat(ethers.formatUnits(stats[4], usdtDecimals));
@@ -752,8 +880,9 @@ ${status ? '🟢 Users can register/upgrade to this plan' : '⚠️ Users cannot
       const isPaused = await this.contractService.isContractPaused();
       
       const owner = await this.contractService.getContractOwner();
-      const expectedOwner = config.adminPrivateKey ? 
-        new ethers.Wallet(config.adminPrivateKey).address : 'Not configured';
+      // The signer for the current signing mode (server key, connected wallet or Safe)
+      const signerStatus = await this.signer.getSignerStatus(msg.from.id);
+      const expectedOwner = signerStatus.address || 'Not configured';
 
       await this.sendMessage(chatId, `
 🔍 *Contract Validation Report*
@@ -786,14 +915,875 @@ ${isBalanced && !isPaused && owner.toLowerCase() === expectedOwner.toLowerCase()
     } catch (error) {
       console.error('ValidateContract error:', error);
       await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
     }
   }
 
-  start() {
-    console.log('🔧 Admin Bot started!');
-    console.log(`🌐 Admin Network: ${config.networkName}`);
-    console.log(`📄 Contract: ${config.contractAddress}`);
-    console.log(`👥 Authorized Users: ${config.adminTelegramUserIds.length}`);
+  async handleCycles(msg) {
+    const chatId = msg.chat.id;
+
+    try {
+      const totalPlans = parseInt(await this.contractService.getTotalPlanCount());
+      let message = '🔄 *Plan Cycle Progress*\n\n';
+
+      // Warms the cycle cache for every plan in one multicall
+      await this.contractService.getAllPlans();
+
+      for (let planId = 1; planId <= totalPlans; planId++) {
+        try {
+          const cycle = await this.contractService.getPlanCycleReport(planId, this.eventIndexer);
+          let eta = 'Unavailable';
+          if (cycle.filled >= cycle.capacity) {
+            eta = 'Cycle full';
+          } else if (cycle.estimatedCompletionAt) {
+            eta = new Date(cycle.estimatedCompletionAt).toLocaleString('en-US');
+          } else if (this.eventIndexer) {
+            eta = 'No recent entries';
+          }
+
+          message += `*Plan ${planId}* - Cycle ${cycle.currentCycle}\n`;
+          message += `${cycle.progressBar} ${cycle.filled}/${cycle.capacity} (${cycle.percent}%)\n`;
+          if (cycle.entriesPerHour !== null) {
+            message += `• Rate: ${cycle.entriesPerHour.toFixed(2)} members/hour (last ${config.cycleRateWindowHours}h)\n`;
+          }
+          message += `• ETA: ${eta}\n\n`;
+        } catch (error) {
+          message += `❌ Plan ${planId}: Unable to load cycle data\n\n`;
+        }
+      }
+
+      message += `⏰ *Updated:* ${new Date().toLocaleString('en-US')}`;
+      await this.sendMessage(chatId, message);
+
+    } catch (error) {
+      console.error('Cycles error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  async handleEvents(msg, match) {
+    const chatId = msg.chat.id;
+
+    try {
+      if (!this.eventIndexer) {
+        await this.sendMessage(chatId, '❌ Event indexer is disabled (ENABLE_INDEXER=false)');
+        return { outcome: 'unavailable' };
+      }
+
+      const name = match[1];
+      const status = this.eventIndexer.getStatus();
+      const events = this.eventIndexer.getEvents({ name, limit: 10, order: 'desc' });
+
+      const lines = events.map(event => {
+        const args = Object.entries(event.args)
+          .map(([key, value]) => `${key}=${typeof value === 'string' && value.startsWith('0x') ? `${value.substring(0, 8)}…` : value}`)
+          .join(', ');
+        return `• *${event.name}* (block ${event.blockNumber}) [tx](${this.contractService.getExplorerUrl(event.transactionHash)})\n  ${args}`;
+      });
+
+      await this.sendMessage(chatId, `
+📚 *Indexed Events${name ? `: ${name}` : ''}*
+
+${lines.length > 0 ? lines.join('\n') : 'No events found'}
+
+📊 *Indexer Status:*
+• Last Indexed Block: ${status.lastIndexedBlock ?? 'N/A'}
+• Chain Head: ${status.headBlock ?? 'N/A'}
+• Lag: ${status.lag ?? 'N/A'} blocks (${config.indexerConfirmations} confirmations required)
+• Total Events: ${status.totalEvents}
+• State: ${status.caughtUp ? '🟢 Live' : '🟡 Backfilling'}
+      `, { disable_web_page_preview: true });
+
+    } catch (error) {
+      console.error('Events error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  // === SIGNING ===
+
+  // Contract method and arguments behind each proposal action
+  async buildAdminCall(action, params = {}) {
+    const withdrawMethods = {
+      owner: 'withdrawOwnerBalance',
+      fee: 'withdrawFeeSystemBalance',
+      fund: 'withdrawFundBalance'
+    };
+
+    switch (action) {
+      case 'pause':
+        return { method: 'setPaused', args: [true], description: 'Pause system' };
+      case 'unpause':
+        return { method: 'setPaused', args: [false], description: 'Resume system' };
+      case 'updateprice':
+        return {
+          method: 'updatePlanPrice',
+          args: [params.planId, await this.contractService.parsePrice(params.newPrice)],
+          description: `Update Plan ${params.planId} price`
+        };
+      case 'setimage':
+        return { method: 'setPlanDefaultImage', args: [params.planId, params.imageUri], description: `Set Plan ${params.planId} image` };
+      case 'planstatus':
+        return { method: 'setPlanStatus', args: [params.planId, params.status], description: `${params.status ? 'Enable' : 'Disable'} Plan ${params.planId}` };
+      case 'withdraw':
+        return {
+          method: withdrawMethods[params.type],
+          args: [await this.contractService.parsePrice(params.amount)],
+          description: `Withdraw ${params.amount} USDT from ${params.type} balance`
+        };
+      case 'emergency_request':
+        return { method: 'requestEmergencyWithdraw', args: [], description: 'Request emergency withdraw' };
+      case 'emergency_withdraw':
+        return { method: 'emergencyWithdraw', args: [], description: 'Emergency withdraw' };
+      case 'emergency_cancel':
+        return { method: 'cancelEmergencyWithdraw', args: [], description: 'Cancel emergency withdraw' };
+      default:
+        throw new Error(`Unknown admin action: ${action}`);
+    }
+  }
+
+  // Returns { hash, receipt } once mined, or null when the call was exported
+  // for the Safe instead of being sent
+  // options.onSent(txHash) is passed through to the signer
+  async submitAdminCall(chatId, signerId, { method, args, description }, options = {}) {
+    if (this.signer.mode === 'walletconnect') {
+      await this.sendMessage(chatId, '📱 Please confirm the transaction in your connected wallet...');
+    }
+
+    const result = await this.signer.submit(signerId, method, args, description, options);
+    if (result.mode !== 'safe') {
+      return result;
+    }
+
+    await this.bot.sendDocument(chatId, Buffer.from(JSON.stringify(result.batch, null, 2), 'utf8'), {
+      caption: `📤 ${description}`
+    }, {
+      filename: `safe-${method}-${Date.now()}.json`,
+      contentType: 'application/json'
+    });
+
+    await this.sendMessage(chatId, `
+📤 *Safe Transaction Prepared*
+
+📋 *Action:* ${description}
+🔐 *Safe:* \`${config.safeAddress || 'Not configured'}\`
+
+📝 *Next Steps:*
+• Open the Safe app and go to Transaction Builder
+• Drag in the attached JSON file
+• Collect the required owner signatures and execute
+    `);
+
+    return null;
+  }
+
+  async handleSignerConnect(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    if (this.signer.mode !== 'walletconnect' || !this.walletService) {
+      await this.sendMessage(chatId, `❌ Wallet signing is not enabled (ADMIN\\_SIGNING\\_MODE=${this.signer.mode})`);
+      return { outcome: 'unavailable' };
+    }
+
+    try {
+      const session = await this.walletService.createWalletConnectSession(this.signer.getSessionKey(userId), { purpose: 'admin' });
+      const qrCodeBuffer = await this.walletService.generateQRCode(session.uri);
+
+      if (qrCodeBuffer) {
+        await this.bot.sendPhoto(chatId, qrCodeBuffer, {
+          caption: '📱 Scan with the contract owner wallet to connect it as the admin signer'
+        });
+      }
+
+      await this.sendMessage(chatId, `
+🔗 *Connect Owner Wallet*
+
+Open your wallet app and paste this WalletConnect URI:
+\`${session.uri}\`
+
+⚠️ Connect the wallet that owns the contract
+💡 Use \`/signer\` to check the connection
+      `);
+
+    } catch (error) {
+      console.error('Signer connect error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  async handleSignerDisconnect(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    if (!this.walletService) {
+      await this.sendMessage(chatId, '❌ No signer wallet connected');
+      return { outcome: 'unavailable' };
+    }
+
+    await this.walletService.disconnectWallet(this.signer.getSessionKey(userId));
+    await this.sendMessage(chatId, '✅ Signer wallet disconnected');
+  }
+
+  async handleSigner(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const status = await this.signer.getSignerStatus(userId);
+      const owner = await this.contractService.getContractOwner();
+      const isOwner = status.address && status.address.toLowerCase() === owner.toLowerCase();
+
+      const modeText = {
+        key: '🔑 Server private key',
+        walletconnect: '📱 Your wallet via WalletConnect',
+        safe: '🔐 Safe multisig (JSON export)'
+      };
+
+      await this.sendMessage(chatId, `
+✍️ *Admin Signer*
+
+• Mode: ${modeText[status.mode]}
+• Signer: ${status.address ? `\`${status.address}\`` : 'Not connected'}
+• Contract Owner: \`${owner}\`
+• Owner Match: ${isOwner ? '✅ Yes' : '❌ No'}
+
+${status.mode === 'walletconnect' && !status.ready ? '💡 Use `/connect` to link the owner wallet' : ''}
+      `);
+
+    } catch (error) {
+      console.error('Signer error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  async handleSignerConnected(data) {
+    if (data.purpose !== 'admin') return;
+
+    const userId = parseInt(String(data.telegramUserId).replace('admin:', ''));
+    try {
+      const owner = await this.contractService.getContractOwner();
+      const isOwner = data.address.toLowerCase() === owner.toLowerCase();
+
+      await this.sendMessage(userId, `
+✅ *Signer Wallet Connected*
+
+• Address: \`${data.address}\`
+• Owner Match: ${isOwner ? '✅ Yes' : '❌ No - admin transactions will be refused'}
+      `);
+
+      if (isOwner) {
+        await this.runAwaitingProposals(userId);
+      }
+    } catch (error) {
+      console.error('Error handling signer connection:', error);
+    }
+  }
+
+  // Approved proposals that were waiting for an owner wallet
+  async runAwaitingProposals(userId) {
+    const awaiting = (await this.proposalService.list('approved'))
+      .filter(proposal => this.roles.can(userId, proposal.action))
+      .sort((a, b) => a.id - b.id);
+
+    for (const proposal of awaiting) {
+      await this.executeProposal(userId, proposal, userId);
+    }
+  }
+
+  // === PROPOSALS ===
+
+  // Contract writes never run directly from a command; they become proposals
+  // and execute once enough admins approve them
+  async propose(msg, action, params, description) {
+    const chatId = msg.chat.id;
+    const proposer = { id: msg.from.id, username: msg.from.username || msg.from.first_name };
+
+    if (/\s--dry\b/.test(msg.text || '')) {
+      return await this.simulateAdminAction(chatId, proposer.id, action, params, description);
+    }
+
+    try {
+      const proposal = await this.proposalService.create(action, params, description, proposer);
+      console.log(`🗳️ Proposal #${proposal.id} (${action}) created by ${proposer.username}`);
+
+      if (proposal.status === 'approved') {
+        return await this.executeProposal(chatId, proposal, proposer.id);
+      }
+
+      await this.sendMessage(chatId, this.formatProposal(proposal), {
+        reply_markup: this.getProposalKeyboard(proposal)
+      });
+      await this.notifyAdmins(proposal, proposer.id);
+
+      return { outcome: 'proposed', proposalId: proposal.id };
+
+    } catch (error) {
+      console.error('Propose error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  // `--dry` simulates the call from the signer address instead of proposing it
+  async simulateAdminAction(chatId, userId, action, params, description) {
+    try {
+      const call = await this.buildAdminCall(action, params);
+      const signerStatus = await this.signer.getSignerStatus(userId);
+      const from = signerStatus.address || await this.contractService.getContractOwner();
+      const simulation = await this.contractService.simulateAdminCall(call.method, call.args, from);
+
+      const resultText = simulation.success
+        ? `✅ Would succeed${simulation.gasEstimate ? ` (gas ~${Number(simulation.gasEstimate).toLocaleString('en-US')})` : ''}`
+        : `❌ Would revert - ${simulation.error.message}${simulation.error.name ? ` (\`${simulation.error.name}\`)` : ''}`;
+
+      await this.sendMessage(chatId, `
+🧪 *Dry Run*
+
+📋 *Action:* ${description}
+🔧 *Call:* \`${call.method}\`
+👤 *From:* \`${from}\`
+
+${resultText}
+
+💡 No proposal was created and nothing was sent
+      `);
+
+      return { outcome: 'simulated', error: simulation.success ? null : simulation.error.message };
+
+    } catch (error) {
+      console.error('Dry run error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  // Runs an approved proposal. In walletconnect mode the transaction is signed
+  // by whichever permitted admin has the owner wallet connected, starting with
+  // the executor; without one the proposal stays approved until an owner
+  // wallet is connected.
+  async executeProposal(chatId, proposal, executorId) {
+    if (this.executingProposals.has(proposal.id) || proposal.executionStartedAt) {
+      return { outcome: 'executing', proposalId: proposal.id };
+    }
+
+    let signerId;
+    try {
+      const candidates = [executorId, ...this.roles.getUsersWith(proposal.action)];
+      signerId = await this.signer.findSigner([...new Set(candidates)]);
+    } catch (error) {
+      console.error(`Proposal #${proposal.id} signer lookup error:`, error);
+      signerId = null;
+    }
+
+    if (signerId === null) {
+      await this.sendMessage(chatId, `
+🟢 *Proposal #${proposal.id} approved*
+
+⏳ No admin has the owner wallet connected, so it has not been executed yet.
+💡 It runs as soon as an admin allowed to \`/${proposal.action}\` connects the owner wallet with \`/connect\`, or with \`/execute ${proposal.id}\` once one is connected
+      `);
+      return { outcome: 'awaiting_signer', proposalId: proposal.id };
+    }
+
+    this.executingProposals.add(proposal.id);
+    try {
+      return await this.runProposal(chatId, proposal, signerId);
+    } finally {
+      this.executingProposals.delete(proposal.id);
+    }
+  }
+
+  async runProposal(chatId, proposal, executorId) {
+    let result;
+    const options = {
+      onSent: (txHash) => this.proposalService.markSent(proposal.id, executorId, txHash)
+    };
+    const executors = {
+      pause: () => this.executePause(chatId, executorId, options),
+      unpause: () => this.executeUnpause(chatId, executorId, options),
+      updateprice: () => this.executeUpdatePrice(chatId, executorId, proposal.params, options),
+      setimage: () => this.executeSetImage(chatId, executorId, proposal.params, options),
+      planstatus: () => this.executePlanStatus(chatId, executorId, proposal.params, options),
+      withdraw: () => this.executeWithdraw(chatId, executorId, proposal.params, options),
+      emergency_request: () => this.executeEmergencyRequest(chatId, executorId, options),
+      emergency_withdraw: () => this.executeEmergencyWithdraw(chatId, executorId, options),
+      emergency_cancel: () => this.executeEmergencyCancel(chatId, executorId, options)
+    };
+
+    try {
+      if (!executors[proposal.action]) {
+        throw new Error(`Unknown proposal action: ${proposal.action}`);
+      }
+
+      await this.proposalService.markExecuting(proposal.id, executorId);
+
+      const tx = await executors[proposal.action]();
+      if (tx) {
+        await this.proposalService.markExecuted(proposal.id, executorId, tx.hash);
+        console.log(`✅ Proposal #${proposal.id} executed: ${tx.hash}`);
+        result = { outcome: 'executed', proposalId: proposal.id, txHash: tx.hash };
+      } else {
+        await this.proposalService.markExported(proposal.id, executorId);
+        console.log(`📤 Proposal #${proposal.id} exported as Safe transaction`);
+        result = { outcome: 'exported', proposalId: proposal.id };
+      }
+
+    } catch (error) {
+      console.error(`Proposal #${proposal.id} execution error:`, error);
+      if (error.unconfirmed) {
+        await this.proposalService.markUnconfirmed(proposal.id, executorId, error.txHash, error.message);
+        await this.sendMessage(chatId, `
+⚠️ *Proposal #${proposal.id} sent but not confirmed*
+
+📄 TX: [Explorer](${this.contractService.getExplorerUrl(error.txHash)})
+💡 It may still be mined. Check it with \`/proposal ${proposal.id}\` before proposing it again
+        `);
+        result = { outcome: 'unconfirmed', proposalId: proposal.id, txHash: error.txHash, error: error.message };
+      } else {
+        await this.proposalService.markFailed(proposal.id, executorId, error.message, error.txHash || null);
+        await this.sendMessage(chatId, `❌ Proposal #${proposal.id} failed: ${error.message}`);
+        result = { outcome: 'failed', proposalId: proposal.id, txHash: error.txHash || null, error: error.message };
+      }
+    }
+
+    if (proposal.proposer.id !== executorId) {
+      await this.notifyAdmin(proposal.proposer.id, this.formatProposal(await this.proposalService.get(proposal.id)));
+    }
+
+    return result;
+  }
+
+  warnUnreachableQuorum() {
+    for (const action of PROPOSAL_ACTIONS) {
+      const voters = this.getEligibleVoters(action).length;
+      if (voters < this.proposalService.quorum) {
+        console.warn(`⚠️ /${action} cannot be proposed: ${voters} admin(s) may vote on it, quorum is ${this.proposalService.quorum}`);
+      }
+    }
+  }
+
+  async notifyAdmin(adminId, text, options = {}) {
+    try {
+      await this.sendMessage(adminId, text, options);
+    } catch (error) {
+      // Admins who never opened a chat with the bot cannot be messaged
+      console.warn(`Could not notify admin ${adminId}:`, error.message);
+    }
+  }
+
+  // Voting needs the vote permission plus permission for the proposed command
+  getEligibleVoters(action) {
+    return this.roles.getUsersWith('vote').filter(userId => this.roles.can(userId, action));
+  }
+
+  async notifyAdmins(proposal, excludeId) {
+    for (const adminId of proposal.eligibleVoters) {
+      if (adminId === excludeId) continue;
+      await this.notifyAdmin(adminId, this.formatProposal(proposal), {
+        reply_markup: this.getProposalKeyboard(proposal)
+      });
+    }
+  }
+
+  getProposalKeyboard(proposal) {
+    return {
+      inline_keyboard: [[
+        { text: '✅ Approve', callback_data: `prop_yes_${proposal.id}` },
+        { text: '❌ Reject', callback_data: `prop_no_${proposal.id}` }
+      ]]
+    };
+  }
+
+  formatProposal(proposal) {
+    const statusIcons = {
+      pending: '🟡', approved: '🟢', executed: '✅', exported: '📤', rejected: '🔴', expired: '⌛', failed: '❌', unconfirmed: '⚠️'
+    };
+    const tally = this.proposalService.tally(proposal);
+    const voters = Object.values(proposal.votes)
+      .map(vote => `${vote.vote === 'yes' ? '✅' : '❌'} ${vote.username}`)
+      .join('\n');
+
+    let result = '';
+    if (proposal.result && proposal.result.txHash) {
+      result += `\n📄 TX: [Explorer](${this.contractService.getExplorerUrl(proposal.result.txHash)})`;
+    }
+    if (proposal.result && proposal.result.error) {
+      result += `\n⚠️ Error: ${proposal.result.error}`;
+    }
+
+    return `
+🗳️ *Proposal #${proposal.id}*
+
+📋 *Action:* ${proposal.description}
+👤 *Proposed by:* ${proposal.proposer.username}
+${statusIcons[proposal.status] || '•'} *Status:* ${proposal.status.toUpperCase()}
+
+🗳️ *Votes:* ${tally.yes} yes / ${tally.no} no (${tally.quorum} of ${tally.eligible} required)
+${voters}
+
+⏰ *Expires:* ${new Date(proposal.expiresAt).toLocaleString('en-US')}${result}
+    `;
+  }
+
+  // Telegram refuses answers to queries that are too old (e.g. taps queued
+  // while the bot was down), which must not stop the vote from counting
+  async answerCallback(query, options = {}) {
+    try {
+      await this.bot.answerCallbackQuery(query.id, options);
+    } catch (error) {
+      console.warn('Could not answer callback query:', error.message);
+    }
+  }
+
+  async handleCallbackQuery(query) {
+    const userId = query.from.id;
+    const data = query.data;
+
+    try {
+      const match = (data || '').match(/^prop_(yes|no)_(\d+)$/);
+      if (!match) {
+        await this.answerCallback(query);
+        return { outcome: 'ignored' };
+      }
+
+      // Only admins recorded as eligible when the proposal was created may vote
+      const target = await this.proposalService.get(parseInt(match[2]));
+      if (!this.roles.can(userId, 'vote') || (target && !target.eligibleVoters.includes(userId))) {
+        await this.answerCallback(query, { text: '❌ Access Denied' });
+        return { outcome: 'denied' };
+      }
+
+      const voter = { id: userId, username: query.from.username || query.from.first_name };
+      const chatId = query.message.chat.id;
+
+      let proposal;
+      try {
+        proposal = await this.proposalService.vote(parseInt(match[2]), voter, match[1]);
+      } catch (error) {
+        await this.answerCallback(query, { text: error.message, show_alert: true });
+        return { outcome: 'invalid', error: error.message };
+      }
+      await this.answerCallback(query, { text: `Vote recorded: ${match[1]}` });
+      console.log(`🗳️ ${voter.username} voted ${match[1]} on proposal #${proposal.id}`);
+
+      try {
+        await this.bot.editMessageText(this.formatProposal(proposal), {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true,
+          reply_markup: proposal.status === 'pending' ? this.getProposalKeyboard(proposal) : undefined
+        });
+      } catch (error) {
+        console.warn('Could not update proposal message:', error.message);
+      }
+
+      if (proposal.status === 'approved') {
+        return await this.executeProposal(chatId, proposal, userId);
+      }
+      if (proposal.status === 'rejected' && proposal.proposer.id !== userId) {
+        await this.notifyAdmin(proposal.proposer.id, this.formatProposal(proposal));
+      }
+
+      return { outcome: proposal.status === 'rejected' ? 'rejected' : 'voted', proposalId: proposal.id };
+
+    } catch (error) {
+      console.error('Callback query error:', error);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  async handleProposals(msg) {
+    const chatId = msg.chat.id;
+
+    const pending = await this.proposalService.list('pending');
+    const recent = (await this.proposalService.list()).filter(proposal => proposal.status !== 'pending').slice(0, 5);
+
+    if (pending.length === 0 && recent.length === 0) {
+      await this.sendMessage(chatId, '📭 No proposals yet');
+      return;
+    }
+
+    for (const proposal of pending) {
+      await this.sendMessage(chatId, this.formatProposal(proposal), {
+        reply_markup: this.getProposalKeyboard(proposal),
+        disable_web_page_preview: true
+      });
+    }
+
+    const lines = recent.map(proposal =>
+      `• #${proposal.id} ${proposal.status.toUpperCase()} - ${proposal.description}`
+    );
+
+    await this.sendMessage(chatId, `
+🗳️ *Proposals*
+
+🟡 Pending: ${pending.length}
+📌 Quorum: ${this.proposalService.quorum} approvals
+
+${lines.length > 0 ? `📜 *Recent:*\n${lines.join('\n')}` : ''}
+
+💡 Use \`/proposal <id>\` for the full audit trail
+    `);
+  }
+
+  async handleExecute(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    const proposal = await this.proposalService.get(parseInt(match[1]));
+    if (!proposal) {
+      await this.sendMessage(chatId, `❌ Proposal #${match[1]} not found`);
+      return { outcome: 'invalid', error: 'Proposal not found' };
+    }
+    if (!this.roles.can(userId, proposal.action)) {
+      await this.sendMessage(chatId, `❌ You are not allowed to run \`/${proposal.action}\``);
+      return { outcome: 'denied', proposalId: proposal.id };
+    }
+    if (proposal.status !== 'approved') {
+      await this.sendMessage(chatId, `❌ Proposal #${proposal.id} is ${proposal.status}, only approved proposals can be executed`);
+      return { outcome: 'invalid', proposalId: proposal.id, error: `Proposal is ${proposal.status}` };
+    }
+    if (this.executingProposals.has(proposal.id) || proposal.executionStartedAt) {
+      await this.sendMessage(chatId, `⏳ Proposal #${proposal.id} is already being executed`);
+      return { outcome: 'executing', proposalId: proposal.id };
+    }
+
+    return await this.executeProposal(chatId, proposal, userId);
+  }
+
+  // A restart leaves proposals approved that were never run or were cut off
+  // mid-execution. The latter may already be on chain, so they are failed
+  // for an admin to check; the others wait for /execute.
+  async recoverProposals() {
+    for (const proposal of await this.proposalService.list('approved')) {
+      if (proposal.executionStartedAt && proposal.result && proposal.result.txHash) {
+        await this.proposalService.markUnconfirmed(proposal.id, null, proposal.result.txHash,
+          'Interrupted by a restart after the transaction was sent');
+        console.warn(`⚠️ Proposal #${proposal.id} was interrupted after sending ${proposal.result.txHash}`);
+        await this.notifyAdmin(proposal.proposer.id, this.formatProposal(await this.proposalService.get(proposal.id)));
+        continue;
+      }
+      if (proposal.executionStartedAt) {
+        await this.proposalService.markFailed(proposal.id, null,
+          'Interrupted by a restart during execution - check the chain before proposing it again');
+        console.warn(`⚠️ Proposal #${proposal.id} was interrupted during execution and marked failed`);
+        await this.notifyAdmin(proposal.proposer.id, this.formatProposal(await this.proposalService.get(proposal.id)));
+        continue;
+      }
+
+      console.log(`🟢 Proposal #${proposal.id} is approved and waiting for /execute`);
+      const executors = this.roles.getUsersWith(proposal.action).filter(adminId => this.roles.can(adminId, 'execute'));
+      for (const adminId of executors) {
+        await this.notifyAdmin(adminId, `🟢 Proposal #${proposal.id} (${proposal.description}) is approved but was not executed.\n💡 Use \`/execute ${proposal.id}\` to run it`);
+      }
+    }
+  }
+
+  // Settles an unconfirmed proposal once its transaction has a receipt
+  async checkUnconfirmed(proposal) {
+    if (proposal.status !== 'unconfirmed') return proposal;
+
+    try {
+      const receipt = await this.contractService.provider.getTransactionReceipt(proposal.result.txHash);
+      if (!receipt) return proposal;
+      if (receipt.status === 1) {
+        return await this.proposalService.markExecuted(proposal.id, null, proposal.result.txHash);
+      }
+      return await this.proposalService.markFailed(proposal.id, null, 'Transaction reverted', proposal.result.txHash);
+    } catch (error) {
+      console.warn(`Could not check proposal #${proposal.id} transaction:`, error.message);
+      return proposal;
+    }
+  }
+
+  async handleProposalDetail(msg, match) {
+    const chatId = msg.chat.id;
+
+    let proposal = await this.proposalService.get(parseInt(match[1]));
+    if (!proposal) {
+      await this.sendMessage(chatId, `❌ Proposal #${match[1]} not found`);
+      return;
+    }
+    proposal = await this.checkUnconfirmed(proposal);
+
+    const history = proposal.history.map(entry => {
+      const actor = entry.userId ? ` by ${entry.userId}` : '';
+      const detail = entry.detail ? ` (${entry.detail})` : '';
+      return `• ${new Date(entry.at).toLocaleString('en-US')} - ${entry.event}${actor}${detail}`;
+    });
+
+    await this.sendMessage(chatId, `${this.formatProposal(proposal)}
+📜 *Audit Trail:*
+${history.join('\n')}
+    `, {
+      reply_markup: proposal.status === 'pending' ? this.getProposalKeyboard(proposal) : undefined,
+      disable_web_page_preview: true
+    });
+  }
+
+  // === ROLES ===
+
+  async handleWhoAmI(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || msg.from.first_name;
+
+    const commands = this.roles.getAllowedCommands(userId).map(command => `\`/${command}\``);
+
+    await this.sendMessage(chatId, `
+👤 *Who Am I*
+
+• User: ${username}
+• User ID: \`${userId}\`
+• Role: *${this.roles.getRoles(userId).join(', ')}*
+
+✅ *Allowed Commands:*
+${commands.join(', ')}
+    `);
+  }
+
+  async handleRoles(msg) {
+    const chatId = msg.chat.id;
+
+    const assignments = this.roles.getUserIds().map(userId =>
+      `• \`${userId}\` - ${this.roles.getRoles(userId).join(', ')}`
+    );
+
+    const matrix = AdminRoles.ROLES.map(role => {
+      const commands = Object.entries(this.roles.permissions)
+        .filter(([, roles]) => roles.includes(role))
+        .map(([command]) => `\`${command}\``);
+      return `*${role}:* ${commands.join(', ')}`;
+    });
+
+    await this.sendMessage(chatId, `
+🔐 *Admin Roles*
+
+👥 *Assignments:*
+${assignments.join('\n')}
+
+📋 *Permissions:*
+${matrix.join('\n\n')}
+
+📄 Roles file: \`${config.adminRolesFile}\`
+💡 IDs in ADMIN\\_TELEGRAM\\_USER\\_IDS without a role entry are superadmins
+    `);
+  }
+
+  // === AUDIT LOG ===
+
+  // Accepts a page number and key=value filters (user, command, outcome, since)
+  parseAuditArgs(text) {
+    const filter = {};
+    let page = 1;
+    const extra = [];
+
+    for (const token of (text || '').trim().split(/\s+/).filter(Boolean)) {
+      const [key, value] = token.split('=');
+      if (value === undefined) {
+        if (/^\d+$/.test(key)) {
+          page = parseInt(key);
+        } else {
+          extra.push(key);
+        }
+      } else if (key === 'user') {
+        filter.userId = parseInt(value);
+      } else if (['command', 'outcome', 'since'].includes(key)) {
+        filter[key] = key === 'command' ? value.replace(/^\//, '') : value;
+      } else {
+        throw new Error(`Unknown filter: ${key}. Use user, command, outcome or since`);
+      }
+    }
+
+    return { filter, page, extra };
+  }
+
+  formatAuditEntry(entry) {
+    const command = `/${entry.command}${entry.args.length > 0 ? ` ${entry.args.join(' ')}` : ''}`;
+    const tx = entry.txHash ? ` [tx](${this.contractService.getExplorerUrl(entry.txHash)})` : '';
+    const error = entry.error ? `\n  ⚠️ ${entry.error.substring(0, 100)}` : '';
+    return `*#${entry.seq}* ${entry.at.replace('T', ' ').substring(0, 19)} - ${entry.username} (${entry.userId})\n  \`${command}\` → ${entry.outcome.toUpperCase()}${tx}${error}`;
+  }
+
+  async handleAudit(msg, match) {
+    const chatId = msg.chat.id;
+
+    let parsed;
+    try {
+      parsed = this.parseAuditArgs(match[1]);
+    } catch (error) {
+      await this.sendMessage(chatId, `❌ ${error.message}`);
+      return { outcome: 'invalid' };
+    }
+
+    const { filter, page } = parsed;
+    const result = this.auditLog.page(filter, page, 10);
+    const integrity = this.auditLog.verify();
+    const filterText = Object.entries(filter).map(([key, value]) => `${key}=${value}`).join(' ');
+
+    await this.sendMessage(chatId, `
+📜 *Admin Audit Log*${filterText ? ` (${filterText})` : ''}
+
+${result.entries.length > 0 ? result.entries.map(entry => this.formatAuditEntry(entry)).join('\n\n') : 'No matching entries'}
+
+📄 Page ${result.page}/${result.totalPages} - ${result.total} entries
+🔗 Chain: ${integrity.valid ? `✅ Intact (${integrity.total} entries)` : `❌ Broken at entry #${integrity.brokenAt}`}
+
+💡 \`/audit <page> user=<id> command=<name> outcome=<outcome> since=<date>\`
+💾 \`/audit_export csv|json [filters]\` to download
+    `, { disable_web_page_preview: true });
+  }
+
+  async handleAuditExport(msg, match) {
+    const chatId = msg.chat.id;
+
+    try {
+      const { filter, extra } = this.parseAuditArgs(match[1]);
+      const format = (extra[0] || 'csv').toLowerCase();
+      if (!['csv', 'json'].includes(format)) {
+        await this.sendMessage(chatId, '❌ Invalid format. Use: csv or json');
+        return { outcome: 'invalid' };
+      }
+
+      const entries = this.auditLog.query(filter);
+      const content = format === 'csv' ? this.auditLog.toCSV(entries) : this.auditLog.toJSON(entries);
+      const integrity = this.auditLog.verify();
+
+      await this.bot.sendDocument(chatId, Buffer.from(content, 'utf8'), {
+        caption: `📜 ${entries.length} audit entries - chain ${integrity.valid ? 'intact' : `broken at #${integrity.brokenAt}`}`
+      }, {
+        filename: `admin-audit-${new Date().toISOString().substring(0, 10)}.${format}`,
+        contentType: format === 'csv' ? 'text/csv' : 'application/json'
+      });
+
+    } catch (error) {
+      console.error('AuditExport error:', error);
+      await this.sendMessage(chatId, `❌ Error occurred: ${error.message}`);
+      return { outcome: 'error', error: error.message };
+    }
+  }
+
+  start() {
+    console.log('🔧 Admin Bot started!');
+    console.log(`🌐 Admin Network: ${config.networkName}`);
+    console.log(`📄 Contract: ${config.contractAddress}`);
+    console.log(`👥 Authorized Users: ${this.roles.getUserIds().length}`);
+    console.log(`🗳️ Proposal Quorum: ${this.proposalService.quorum}`);
+    this.warnUnreachableQuorum();
+    console.log(`✍️ Signing Mode: ${this.signer.mode}`);
+
+    this.updates.start(this.apiServer).catch((error) => {
+      console.error('❌ Admin Bot could not start receiving updates:', error.message);
+    });
+    this.recoverProposals().catch((error) => {
+      console.error('❌ Could not recover approved proposals:', error.message);
+    });
     console.log('✅ Admin Bot ready for commands...');
   }
 }
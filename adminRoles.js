@@ -0,0 +1,109 @@
+const fs = require('fs');
+const config = require('./config');
+
+const ROLES = ['viewer', 'operator', 'treasurer', 'superadmin'];
+const ALL = ROLES;
+
+// Which roles may run each admin command. Commands missing from the matrix
+// are restricted to superadmins.
+const DEFAULT_PERMISSIONS = {
+  start: ALL,
+  help: ALL,
+  whoami: ALL,
+  stats: ALL,
+  balances: ALL,
+  contractinfo: ALL,
+  validate: ALL,
+  cycles: ALL,
+  events: ALL,
+  proposals: ALL,
+  proposal: ALL,
+  pause: ['operator', 'superadmin'],
+  unpause: ['operator', 'superadmin'],
+  updateprice: ['operator', 'superadmin'],
+  setimage: ['operator', 'superadmin'],
+  planstatus: ['operator', 'superadmin'],
+  withdraw: ['treasurer', 'superadmin'],
+  vote: ['operator', 'treasurer', 'superadmin'],
+  execute: ['operator', 'treasurer', 'superadmin'],
+  signer: ALL,
+  connect: ['operator', 'treasurer', 'superadmin'],
+  disconnect: ['operator', 'treasurer', 'superadmin'],
+  emergency_request: ['superadmin'],
+  emergency_withdraw: ['superadmin'],
+  emergency_cancel: ['superadmin'],
+  audit: ['superadmin'],
+  audit_export: ['superadmin'],
+  roles: ['superadmin']
+};
+
+// Role assignments come from ADMIN_ROLES_FILE:
+//   { "users": { "<telegram id>": "operator" | ["operator", "treasurer"] },
+//     "permissions": { "<command>": ["viewer", ...] } }
+// IDs in ADMIN_TELEGRAM_USER_IDS without an entry there are superadmins.
+class AdminRoles {
+  constructor(filePath = config.adminRolesFile) {
+    this.filePath = filePath;
+    this.assignments = new Map();
+    this.permissions = { ...DEFAULT_PERMISSIONS };
+    this.load();
+  }
+
+  load() {
+    let file = {};
+    try {
+      file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid admin roles file ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    this.assignments.clear();
+    for (const [userId, roles] of Object.entries(file.users || {})) {
+      const list = Array.isArray(roles) ? roles : [roles];
+      const unknown = list.filter(role => !ROLES.includes(role));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown role(s) for user ${userId}: ${unknown.join(', ')}`);
+      }
+      this.assignments.set(parseInt(userId), list);
+    }
+
+    for (const userId of config.adminTelegramUserIds) {
+      if (!this.assignments.has(userId)) {
+        this.assignments.set(userId, ['superadmin']);
+      }
+    }
+
+    this.permissions = { ...DEFAULT_PERMISSIONS, ...(file.permissions || {}) };
+  }
+
+  getRoles(userId) {
+    return this.assignments.get(userId) || [];
+  }
+
+  getUserIds() {
+    return Array.from(this.assignments.keys());
+  }
+
+  hasAnyRole(userId) {
+    return this.getRoles(userId).length > 0;
+  }
+
+  can(userId, command) {
+    const allowed = this.permissions[command] || ['superadmin'];
+    return this.getRoles(userId).some(role => allowed.includes(role));
+  }
+
+  getAllowedCommands(userId) {
+    return Object.keys(this.permissions).filter(command => this.can(userId, command));
+  }
+
+  getUsersWith(command) {
+    return this.getUserIds().filter(userId => this.can(userId, command));
+  }
+}
+
+AdminRoles.ROLES = ROLES;
+
+module.exports = AdminRoles;
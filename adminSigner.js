@@ -0,0 +1,128 @@
+const config = require('./config');
+
+// Submits admin contract calls according to ADMIN_SIGNING_MODE:
+//   key           - signed by ADMIN_WALLET_PRIVATE_KEY on the server
+//   walletconnect - sent to the executing admin's own wallet via WalletService
+//   safe          - exported as a Safe Transaction Builder batch for the multisig
+class AdminSigner {
+  constructor({ contractService, walletService = null, mode = config.adminSigningMode }) {
+    this.contractService = contractService;
+    this.walletService = walletService;
+    this.mode = mode;
+  }
+
+  // Admin WalletConnect sessions are keyed apart from the same user's member session
+  getSessionKey(telegramUserId) {
+    return `admin:${telegramUserId}`;
+  }
+
+  async getSignerStatus(telegramUserId) {
+    if (this.mode === 'key') {
+      return {
+        mode: this.mode,
+        ready: Boolean(this.contractService.adminWallet),
+        address: this.contractService.adminWallet ? this.contractService.adminWallet.address : null
+      };
+    }
+
+    if (this.mode === 'safe') {
+      return { mode: this.mode, ready: Boolean(config.safeAddress), address: config.safeAddress };
+    }
+
+    if (!this.walletService) {
+      return { mode: this.mode, ready: false, address: null };
+    }
+
+    const connection = await this.walletService.checkConnection(this.getSessionKey(telegramUserId));
+    return {
+      mode: this.mode,
+      ready: connection.connected,
+      address: connection.connected ? connection.address : null
+    };
+  }
+
+  // First of the given admins who can sign right now. Only walletconnect mode
+  // depends on the admin: their connected wallet must be the contract owner.
+  async findSigner(telegramUserIds) {
+    if (this.mode !== 'walletconnect') {
+      return telegramUserIds[0];
+    }
+    if (!this.walletService) {
+      return null;
+    }
+
+    const owner = (await this.contractService.getContractOwner()).toLowerCase();
+    for (const telegramUserId of telegramUserIds) {
+      const connection = await this.walletService.checkConnection(this.getSessionKey(telegramUserId));
+      if (connection.connected && !connection.readOnly && connection.address.toLowerCase() === owner) {
+        return telegramUserId;
+      }
+    }
+    return null;
+  }
+
+  // Resolves to { mode, hash, receipt } once mined, or { mode: 'safe', batch }
+  // when the call has to be executed from the Safe. onSent(txHash) runs as
+  // soon as the transaction is broadcast; errors after that carry txHash,
+  // plus unconfirmed: true when it is not known whether it was mined.
+  async submit(telegramUserId, method, args, description, { onSent } = {}) {
+    if (this.mode === 'key') {
+      const receipt = await this.contractService.sendAdminTransaction(method, args, { onSent });
+      return { mode: this.mode, hash: receipt.hash, receipt };
+    }
+
+    const txData = this.contractService.buildAdminTransaction(method, args);
+
+    if (this.mode === 'safe') {
+      return {
+        mode: this.mode,
+        batch: this.contractService.buildSafeTransactionBatch([txData], {
+          name: description,
+          description: `${description} (${method})`
+        })
+      };
+    }
+
+    if (!this.walletService) {
+      throw new Error('WalletConnect signing is not available');
+    }
+
+    const sessionKey = this.getSessionKey(telegramUserId);
+    const connection = await this.walletService.checkConnection(sessionKey);
+    if (!connection.connected) {
+      throw new Error('Signer wallet not connected. Use /connect to link the owner wallet');
+    }
+
+    const owner = await this.contractService.getContractOwner();
+    if (connection.address.toLowerCase() !== owner.toLowerCase()) {
+      throw new Error(`Connected wallet ${connection.address} is not the contract owner ${owner}`);
+    }
+
+    const prepared = await this.contractService.prepareTransaction(txData, connection.address);
+    const result = await this.walletService.sendTransaction(sessionKey, prepared, description);
+    if (onSent) {
+      await onSent(result.txHash);
+    }
+
+    let receipt;
+    try {
+      receipt = await this.contractService.provider.waitForTransaction(result.txHash, 1, config.transactionTimeout);
+    } catch (error) {
+      throw this.contractService.createUnconfirmedError(result.txHash, error);
+    }
+    if (!receipt) {
+      throw this.contractService.createUnconfirmedError(result.txHash);
+    }
+    if (receipt.status !== 1) {
+      const tx = await this.contractService.provider.getTransaction(result.txHash);
+      const revert = await this.contractService.getRevertReason(tx, receipt);
+      const error = new Error(`Transaction ${result.txHash} reverted: ${revert.message}`);
+      error.txHash = result.txHash;
+      throw error;
+    }
+
+    return { mode: this.mode, hash: result.txHash, receipt };
+  }
+}
+
+module.exports = AdminSigner;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Authenticates SimpleServer API callers. Browser callers (connect.html
+// running as a Telegram Mini App) send Telegram.WebApp.initData in the
+// X-Telegram-Init-Data header; servers send one of API_KEYS in X-API-Key.
+class ApiAuth {
+  constructor({
+    botToken = config.telegramBotToken,
+    apiKeys = config.apiKeys,
+    maxAge = config.webAppAuthMaxAge
+  } = {}) {
+    this.botToken = botToken;
+    this.apiKeys = apiKeys;
+    this.maxAge = maxAge;
+  }
+
+  // https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+  verifyInitData(initData) {
+    if (!initData) {
+      throw new Error('Missing Telegram init data');
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) {
+      throw new Error('Init data is not signed');
+    }
+    params.delete('hash');
+
+    const dataCheckString = Array.from(params.entries())
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(this.botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    if (!this.safeEqual(expected, hash)) {
+      throw new Error('Invalid init data signature');
+    }
+
+    const authDate = parseInt(params.get('auth_date'));
+    if (!authDate || Date.now() / 1000 - authDate > this.maxAge) {
+      throw new Error('Init data has expired, reopen the page from Telegram');
+    }
+
+    let user;
+    try {
+      user = JSON.parse(params.get('user'));
+    } catch (error) {
+      throw new Error('Init data has no user');
+    }
+    if (!user || !user.id) {
+      throw new Error('Init data has no user');
+    }
+
+    return { userId: user.id, user, authDate };
+  }
+
+  verifyApiKey(key) {
+    return Boolean(key) && this.apiKeys.some(apiKey => this.safeEqual(apiKey, key));
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  // Express middleware accepting the listed methods ('telegram', 'apiKey').
+  // Sets req.auth to { type: 'telegram', userId, user } or { type: 'apiKey' }.
+  middleware(methods = ['telegram', 'apiKey']) {
+    return (req, res, next) => {
+      const apiKey = req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      if (methods.includes('apiKey') && apiKey && this.verifyApiKey(apiKey)) {
+        req.auth = { type: 'apiKey' };
+        return next();
+      }
+
+      const initData = req.get('X-Telegram-Init-Data');
+      if (methods.includes('telegram') && initData) {
+        try {
+          const { userId, user } = this.verifyInitData(initData);
+          req.auth = { type: 'telegram', userId, user };
+          return next();
+        } catch (error) {
+          return res.status(401).json({ error: 'unauthorized', message: error.message });
+        }
+      }
+
+      const accepted = methods.map(method => (method === 'apiKey' ? 'X-API-Key' : 'X-Telegram-Init-Data')).join(' or ');
+      return res.status(401).json({ error: 'unauthorized', message: `Authentication required (${accepted})` });
+    };
+  }
+}
+
+module.exports = ApiAuth;
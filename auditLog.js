@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CSV_FIELDS = ['seq', 'at', 'userId', 'username', 'command', 'args', 'outcome', 'txHash', 'error', 'prevHash', 'hash'];
+
+// Append-only record of admin bot actions. Each entry stores the hash of the
+// previous one, so editing or removing any line breaks the chain.
+class AuditLog {
+  constructor(filePath = path.join(config.dataDir, 'admin-audit.jsonl')) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let raw = '';
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn('⚠️ Skipping unreadable audit record');
+      }
+    }
+  }
+
+  computeHash(entry) {
+    const { hash, ...fields } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  // Entries are chained in memory synchronously so concurrent handlers
+  // cannot interleave; the file append is serialized behind them
+  record({ userId, username, command, args = [], outcome, txHash = null, error = null }) {
+    this.load();
+
+    const previous = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      at: new Date().toISOString(),
+      userId,
+      username: username || null,
+      command,
+      args,
+      outcome,
+      txHash,
+      error,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = this.computeHash(entry);
+    this.entries.push(entry);
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    }).catch((writeError) => {
+      console.error('Error writing audit log:', writeError);
+    });
+
+    return entry;
+  }
+
+  verify() {
+    this.load();
+
+    let prevHash = GENESIS_HASH;
+    for (const entry of this.entries) {
+      if (entry.prevHash !== prevHash || this.computeHash(entry) !== entry.hash) {
+        return { valid: false, brokenAt: entry.seq, total: this.entries.length };
+      }
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, brokenAt: null, total: this.entries.length };
+  }
+
+  // Filters: userId, command, outcome, since (ISO date or timestamp)
+  query({ userId, command, outcome, since } = {}) {
+    this.load();
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return this.entries.filter(entry => {
+      if (userId !== undefined && entry.userId !== userId) return false;
+      if (command && entry.command !== command) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (sinceTime && new Date(entry.at).getTime() < sinceTime) return false;
+      return true;
+    });
+  }
+
+  page(filter = {}, page = 1, pageSize = 10) {
+    const matches = this.query(filter).reverse();
+    const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const current = Math.min(Math.max(1, page), totalPages);
+
+    return {
+      entries: matches.slice((current - 1) * pageSize, current * pageSize),
+      page: current,
+      totalPages,
+      total: matches.length
+    };
+  }
+
+  toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  toCSV(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = Array.isArray(value) ? value.join(' ') : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_FIELDS.map(field => escape(entry[field])).join(','));
+    return [CSV_FIELDS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+module.exports = AuditLog;
@@ -1,23 +1,69 @@
-const TelegramBot = require('node-telegram-bot-api');
+const path = require('path');
 const config = require('./config');
 const ContractService = require('./contractService');
 const WalletService = require('./walletService');
 const SimpleServer = require('./simpleServer');
+const ReferralStore = require('./referralStore');
+const NotificationService = require('./notificationService');
+const NftMetadataService = require('./nftMetadataService');
+const JsonFileStore = require('./jsonFileStore');
+const TransactionTracker = require('./transactionTracker');
+const TelegramUpdates = require('./telegramUpdates');
 
 class TelegramMembershipBot {
-  constructor() {
-    this.bot = new TelegramBot(config.telegramBotToken, { polling: true });
+  constructor(services = {}) {
+    this.updates = new TelegramUpdates(config.telegramBotToken, { name: 'user', label: 'User Bot', mode: config.botUpdateMode });
+    this.bot = this.updates.bot;
     this.contractService = new ContractService();
-    this.walletService = new WalletService();
+    this.eventIndexer = services.eventIndexer || null;
+    if (this.eventIndexer) {
+      this.contractService.bindEventIndexer(this.eventIndexer);
+    }
+    this.walletService = services.walletService || new WalletService();
+    this.referralStore = new ReferralStore();
+    this.notificationService = new NotificationService({
+      sendMessage: (chatId, text, options) => this.sendMessage(chatId, text, options),
+      contractService: this.contractService,
+      eventIndexer: this.eventIndexer
+    });
+    this.notificationService.start();
+    this.nftMetadataService = new NftMetadataService(this.contractService);
+    this.transactionTracker = new TransactionTracker({ contractService: this.contractService });
+    this.wizardStore = new JsonFileStore(path.join(config.dataDir, 'wizards.json'), { wizards: {} });
+    this.exitConfirmations = new Map(); // telegram_user_id -> { step, expiresAt }
     this.me = { username: 'ChainsxCo_bot' };
     
-    // Start simple API server for connection status
-    this.apiServer = new SimpleServer(this.walletService, 3001);
+    // API server for connection status, wallet linking, the Mini App dashboard
+    // and webhooks (shared with the admin bot when started from index.js)
+    this.ownsApiServer = !services.apiServer;
+    this.apiServer = services.apiServer || new SimpleServer(this.walletService, config.apiPort);
+    this.walletLinkService = this.apiServer.walletLinkService;
+    this.apiServer.enableMiniApp({
+      contractService: this.contractService,
+      transactionTracker: this.transactionTracker,
+      eventIndexer: this.eventIndexer,
+      getMemberAddress: (userId) => this.getMemberAddress(userId),
+      resolveUpline: (userId, upline) => this.resolveUpline(userId, upline),
+      getReferralLink: (address) => this.getReferralLink(address)
+    });
     
     // Listen for wallet connection events
     this.walletService.on('walletConnected', (data) => {
       this.handleWalletConnectedEvent(data);
     });
+
+    // Every member transaction is tracked until it settles, across restarts
+    this.walletService.on('transactionSent', (data) => {
+      this.handleTransactionSent(data).catch((error) => {
+        console.error('Error tracking transaction:', error);
+      });
+    });
+    this.transactionTracker.on('updated', (record) => {
+      this.handleTrackedTransaction(record).catch((error) => {
+        console.error('Error sending transaction update:', error);
+      });
+    });
+    this.transactionTracker.start();
     
     this.setupCommands();
     this.setupErrorHandling();
@@ -27,8 +73,10 @@ class TelegramMembershipBot {
 
   async initializeBot() {
     try {
-      // Start API server
-      await this.apiServer.start();
+      // Start API server (index.js starts a shared one itself)
+      if (this.ownsApiServer) {
+        await this.apiServer.start();
+      }
       
       this.me = await this.bot.getMe();
       console.log(`🤖 Bot username loaded: @${this.me.username}`);
@@ -41,7 +89,8 @@ class TelegramMembershipBot {
   async handleWalletConnectedEvent(data) {
     try {
       console.log(`📨 Received walletConnected event:`, data);
-      await this.handleWalletConnected(data.telegramUserId, data.address, data.chainId);
+      if (data.purpose === 'admin') return;
+      await this.handleWalletConnected(data.telegramUserId, data.address, data.chainId, { readOnly: data.readOnly });
     } catch (error) {
       console.error('Error handling wallet connected event:', error);
     }
@@ -51,16 +100,22 @@ class TelegramMembershipBot {
     // Basic Commands
     this.bot.onText(/\/start(?:\s+ref_(0x[a-fA-F0-9]{40}))?/, (msg, match) => this.handleStart(msg, match));
     this.bot.onText(/\/help/, (msg) => this.handleHelp(msg));
+    this.bot.onText(/\/app\b/, (msg) => this.handleOpenApp(msg));
 
     // Wallet Commands
     this.bot.onText(/\/connect/, (msg) => this.handleConnect(msg));
     this.bot.onText(/\/disconnect/, (msg) => this.handleDisconnect(msg));
     this.bot.onText(/\/wallet/, (msg) => this.handleWalletStatus(msg));
+    this.bot.onText(/\/link/, (msg) => this.handleLinkWallet(msg));
+    this.bot.onText(/\/unlink/, (msg) => this.handleUnlinkWallet(msg));
 
     // Member Commands  
+    this.bot.onText(/\/join/, (msg) => this.handleJoin(msg));
     this.bot.onText(/\/register\s+(\d+)(?:\s+(0x[a-fA-F0-9]{40}))?/, (msg, match) => this.handleRegister(msg, match));
     this.bot.onText(/\/upgrade (.+)/, (msg, match) => this.handleUpgrade(msg, match));
     this.bot.onText(/\/myinfo/, (msg) => this.handleMyInfo(msg));
+    this.bot.onText(/\/exit/, (msg) => this.handleExit(msg));
+    this.bot.onText(/\/mynft/, (msg) => this.handleMyNFT(msg));
 
     // Plan Information Commands
     this.bot.onText(/\/planinfo (.+)/, (msg, match) => this.handlePlanInfo(msg, match));
@@ -72,15 +127,19 @@ class TelegramMembershipBot {
     this.bot.onText(/\/usdtbalance/, (msg) => this.handleUSDTBalance(msg));
 
     // Validation Commands
-    this.bot.onText(/\/validate (.+) (.+)/, (msg, match) => this.handleValidateRegistration(msg, match));
+    this.bot.onText(/\/validate\s+(\d+)(?:\s+(0x[a-fA-F0-9]{40}))?/, (msg, match) => this.handleValidateRegistration(msg, match));
     this.bot.onText(/\/validateupgrade (.+)/, (msg, match) => this.handleValidateUpgrade(msg, match));
     this.bot.onText(/\/approve (.+)/, (msg, match) => this.handleApproveUSDT(msg, match));
 
     // Transaction Status
     this.bot.onText(/\/txstatus (.+)/, (msg, match) => this.handleTransactionStatus(msg, match));
+    this.bot.onText(/\/mytx/, (msg) => this.handleMyTransactions(msg));
+    this.bot.onText(/\/history/, (msg) => this.handleHistory(msg));
 
     // Referral Commands
     this.bot.onText(/\/getreferrallink/, (msg) => this.handleReferralLink(msg));
+    this.bot.onText(/\/team/, (msg) => this.handleTeam(msg));
+    this.bot.onText(/\/notifications(?:\s+(\w+))?/, (msg, match) => this.handleNotifications(msg, match));
 
     // Callback query handlers for inline buttons
     this.bot.on('callback_query', (callbackQuery) => this.handleCallbackQuery(callbackQuery));
@@ -114,6 +173,23 @@ class TelegramMembershipBot {
     }
   }
 
+  // Re-renders in place for inline-keyboard navigation, falls back to a new message
+  async sendOrEditMessage(chatId, messageId, text, options = {}) {
+    if (messageId) {
+      try {
+        return await this.bot.editMessageText(text, {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          ...options
+        });
+      } catch (error) {
+        console.warn('Edit message failed, sending new message:', error.message);
+      }
+    }
+    return await this.sendMessage(chatId, text, options);
+  }
+
   async sendPhoto(chatId, photo, options = {}) {
     try {
       return await this.bot.sendPhoto(chatId, photo, {
@@ -241,7 +317,7 @@ Connection request expired. Please try again with \`/connect\`
   async sendMobileWalletOptions(chatId, uri, userId, sessionId) {
     // For production, use domain. For development, send URI directly
     const isProduction = process.env.NODE_ENV === 'production';
-    const serverUrl = process.env.SERVER_URL || 'https://chainsx.info';
+    const serverUrl = config.serverUrl;
     
     if (isProduction && serverUrl.startsWith('https://')) {
       // Production: use HTTPS URL
@@ -250,7 +326,8 @@ Connection request expired. Please try again with \`/connect\`
       const keyboard = {
         inline_keyboard: [
           [
-            { text: '🚀 Connect Wallet (One-Click)', url: connectUrl }
+            // Opened as a Mini App so the page can authenticate with Telegram initData
+            { text: '🚀 Connect Wallet (One-Click)', web_app: { url: connectUrl } }
           ],
           [
             { text: '📋 Copy URI', callback_data: 'copy_uri' },
@@ -287,7 +364,7 @@ Connection request expired. Please try again with \`/connect\`
 5️⃣ **Approve the connection**
 
 **Or visit connection page:**
-${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userId}&sessionId=${sessionId}
+${config.serverUrl}/connect.html?userId=${userId}&sessionId=${sessionId}
 
 ⚠️ *Important:*
 • Make sure you're on ${config.networkName}
@@ -309,7 +386,7 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
 
   async sendDesktopWalletOptions(chatId, uri, userId, sessionId) {
     const isProduction = process.env.NODE_ENV === 'production';
-    const serverUrl = process.env.SERVER_URL || 'https://chainsx.info';
+    const serverUrl = config.serverUrl;
     
     try {
       const qrCodeBuffer = await this.walletService.generateQRCode(uri);
@@ -321,7 +398,7 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
         const keyboard = {
           inline_keyboard: [
             [
-              { text: '🚀 Open Connection Page', url: connectUrl }
+              { text: '🚀 Open Connection Page', web_app: { url: connectUrl } }
             ],
             [
               { text: '📋 Copy URI', callback_data: 'copy_uri' },
@@ -355,7 +432,7 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
 📱 Scan QR code with your mobile wallet
 
 **Option 2: Manual Connection**
-Visit: ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userId}&sessionId=${sessionId}
+Visit: ${config.serverUrl}/connect.html?userId=${userId}&sessionId=${sessionId}
 
 **Option 3: Copy URI**
 Use the "Copy URI" button below
@@ -389,7 +466,7 @@ Use the "Copy URI" button below
 \`${uri}\`
 
 **Connection Page:**
-${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userId}&sessionId=${sessionId}
+${config.serverUrl}/connect.html?userId=${userId}&sessionId=${sessionId}
 
 **Instructions:**
 1. Copy the URI above
@@ -479,6 +556,19 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
           } else if (data.startsWith('validate_upgrade_')) {
             const planId = data.split('_')[2];
             await this.handleValidateUpgrade({ chat: { id: chatId }, from: { id: userId } }, [null, planId]);
+          } else if (data.startsWith('team_page_')) {
+            const page = parseInt(data.split('_')[2]);
+            await this.renderTeam(chatId, userId, page, callbackQuery.message.message_id);
+          } else if (data.startsWith('team_view_')) {
+            const address = data.split('_')[2];
+            await this.renderTeamMember(chatId, userId, address, callbackQuery.message.message_id);
+          } else if (data.startsWith('wiz_')) {
+            await this.handleWizardCallback(chatId, userId, data);
+          } else if (data.startsWith('exit_')) {
+            await this.handleExitCallback(chatId, userId, data);
+          } else if (data.startsWith('notify_')) {
+            const mode = data.split('_')[1];
+            await this.handleNotifications({ chat: { id: chatId }, from: { id: userId } }, [null, mode]);
           }
           break;
       }
@@ -488,7 +578,9 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
     }
   }
 
-  async handleWalletConnected(userId, address, chainId) {
+  // readOnly: address proven from the browser with personal_sign, which
+  // cannot sign transactions
+  async handleWalletConnected(userId, address, chainId, { readOnly = false } = {}) {
     try {
       // Prevent duplicate messages
       const sessionId = this.walletService.userSessions.get(userId);
@@ -511,13 +603,15 @@ ${process.env.SERVER_URL || 'http://localhost:3001'}/connect.html?userId=${userI
 
 ${chainId !== config.chainId ? 
   `⚠️ *Warning:* Please switch to ${config.networkName} (Chain ID: ${config.chainId})` : 
-  '🟢 *Ready to use!* You can now register or upgrade your membership.'
+  readOnly ?
+    '👁️ *Read-only:* Ownership verified by signature. Use `/connect` with WalletConnect to register or upgrade.' :
+    '🟢 *Ready to use!* You can now register or upgrade your membership.'
 }
 
 💡 *Available commands:*
 • \`/myinfo\` - View membership status
 • \`/allplans\` - Browse membership plans
-• \`/wallet\` - View wallet details
+• \`/wallet\` - View wallet details${readOnly ? '' : '\n• \`/link\` - Link this wallet permanently'}
       `);
 
       // Update session to mark as connected
@@ -528,9 +622,18 @@ ${chainId !== config.chainId ?
           session.address = address;
           session.chainId = chainId;
           session.lastActivity = Date.now();
+          await this.walletService.persistSession(sessionId);
           console.log(`✅ Session ${sessionId} marked as connected for user ${userId}`);
         }
       }
+
+      await this.notificationService.linkAddress(userId, address);
+
+      // Continue an interrupted registration wizard
+      const wizard = this.getWizardState(userId);
+      if (wizard && wizard.step === 'connect' && !readOnly) {
+        await this.advanceWizard(userId, userId);
+      }
       
     } catch (error) {
       console.error('Error notifying wallet connection:', error);
@@ -583,7 +686,7 @@ ${connection.reason || 'Please connect your wallet first'}
       const allowanceInfo = await this.contractService.getUSDTAllowance(connection.address);
 
       await this.sendMessage(chatId, `
-✅ *Wallet Connected*
+✅ *Wallet Connected*${connection.readOnly ? ' (read-only)' : ''}
 
 🔗 *Address:* \`${connection.address}\`
 🌐 *Network:* ${config.networkName} (Chain ID: ${connection.chainId})
@@ -603,6 +706,82 @@ ${connection.reason || 'Please connect your wallet first'}
     }
   }
 
+  // Active session first, then the SIWE-linked address so read-only
+  // commands keep working after the session ends
+  async getMemberAddress(userId) {
+    const connection = await this.walletService.checkConnection(userId);
+    if (connection.connected) return connection.address;
+
+    const link = this.walletLinkService.getLink(userId);
+    return link ? link.address : null;
+  }
+
+  async handleLinkWallet(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      const existing = this.walletLinkService.getLink(userId);
+      if (existing && existing.address.toLowerCase() === connection.address.toLowerCase()) {
+        await this.sendMessage(chatId, `✅ \`${existing.address}\` is already linked to your account`);
+        return;
+      }
+
+      if (connection.readOnly) {
+        await this.sendMessage(chatId, '❌ Signing needs a WalletConnect session. Use `/connect` first.');
+        return;
+      }
+
+      const challenge = this.walletLinkService.createChallenge(userId, connection.address, connection.chainId);
+      await this.sendMessage(chatId, `
+✍️ *Sign In With Ethereum*
+
+Please sign the message in your wallet app to link \`${connection.address}\` to your Telegram account.
+
+No transaction is sent and no gas is used.
+      `);
+
+      const signature = await this.walletService.signMessage(userId, challenge.message);
+      const link = await this.walletLinkService.verifyAndLink(userId, {
+        address: connection.address,
+        nonce: challenge.nonce,
+        signature
+      }, 'walletconnect');
+      await this.notificationService.linkAddress(userId, link.address);
+
+      await this.sendMessage(chatId, `
+🔐 *Wallet Linked*
+
+🔗 *Address:* \`${link.address}\`
+
+\`/myinfo\` and \`/mynft\` now work without an active wallet session.
+💡 Use \`/unlink\` to remove the link
+      `);
+    } catch (error) {
+      console.error('Link wallet error:', error);
+      await this.sendMessage(chatId, `❌ Could not link wallet: ${error.message}`);
+    }
+  }
+
+  async handleUnlinkWallet(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const removed = await this.walletLinkService.unlink(userId);
+      await this.sendMessage(chatId, removed ? '✅ Linked wallet removed' : '❌ No linked wallet found');
+    } catch (error) {
+      console.error('Unlink wallet error:', error);
+      await this.sendMessage(chatId, `❌ Error: ${error.message}`);
+    }
+  }
+
   // === MEMBER TRANSACTION HANDLERS ===
 
   async handleRegister(msg, match) {
@@ -623,15 +802,18 @@ Please connect your wallet first:
         return;
       }
 
-      if (!uplineAddress) {
-        await this.sendMessage(chatId, '❌ Please specify upline address or use a valid invitation link');
+      const upline = await this.resolveUpline(userId, uplineAddress);
+      uplineAddress = upline.address;
+
+      if (this.isDryRun(msg)) {
+        await this.sendRegisterDryRun(chatId, connection.address, planId, upline);
         return;
       }
 
       await this.sendMessage(chatId, '⏳ Validating registration conditions...');
       
       try {
-        await this.contractService.validateRegistration(connection.address, planId, uplineAddress);
+        await this.contractService.validateRegistration(connection.address, planId, uplineAddress, { requireAllowance: false });
       } catch (validationError) {
         await this.sendMessage(chatId, `❌ Validation failed: ${validationError.message}
 
@@ -643,8 +825,8 @@ Please connect your wallet first:
         return;
       }
 
-      const planInfo = await this.contractService.getPlanInfo(planId);
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const planInfo = await this.contractService.getPlanInfo(planId, { fresh: true });
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const { ethers } = require('ethers');
       const priceFormatted = ethers.formatUnits(planInfo.price, usdtDecimals);
 
@@ -656,34 +838,28 @@ Please connect your wallet first:
 📋 *Details:*
 • Plan: ${planInfo.name} (Plan ${planId})
 • Price: ${priceFormatted} USDT
-• Upline: \`${uplineAddress}\`
+• Upline: \`${uplineAddress}\` (${upline.label})
 
+💡 If your USDT allowance is too low you will be asked to approve first
 ⏳ Sending transaction request to your wallet...
       `);
 
-      const result = await this.walletService.sendTransaction(
-        userId, 
-        txData, 
-        `Register Plan ${planId}`
-      );
-
-      if (result.success) {
-        await this.sendMessage(chatId, `
-✅ *Transaction Sent Successfully!*
-
-📄 *Transaction Hash:* \`${result.txHash}\`
-🔗 *Explorer:* [View Transaction](${this.contractService.getExplorerUrl(result.txHash)})
-
-⏳ *Status:* Waiting for confirmation...
-
-💡 Use \`/txstatus ${result.txHash}\` to check status
-        `);
-
-        this.monitorTransaction(chatId, result.txHash, 'registration');
-      }
+      await this.walletService.runTransactionPipeline(userId, [
+        this.buildApproveStep(chatId, connection.address, planInfo.price),
+        {
+          name: `Register Plan ${planId}`,
+          description: `Register Plan ${planId}`,
+          buildTransaction: async () => this.contractService.prepareTransaction(txData, connection.address),
+          meta: { chatId, type: 'registration', planId }
+        }
+      ], {
+        waitForConfirmation: (txHash) => this.contractService.waitForTransactionConfirmation(txHash),
+        onProgress: this.createPipelineReporter(chatId)
+      });
 
     } catch (error) {
       console.error('Register error:', error);
+      if (this.isReportedByTracker(error)) return;
       await this.sendMessage(chatId, `❌ Registration failed: ${error.message}`);
     }
   }
@@ -705,11 +881,16 @@ Please connect your wallet first:
         return;
       }
 
+      if (this.isDryRun(msg)) {
+        await this.sendUpgradeDryRun(chatId, connection.address, newPlanId);
+        return;
+      }
+
       await this.sendMessage(chatId, '⏳ Validating upgrade conditions...');
       
       let validation;
       try {
-        validation = await this.contractService.validateUpgrade(connection.address, newPlanId);
+        validation = await this.contractService.validateUpgrade(connection.address, newPlanId, { requireAllowance: false });
       } catch (validationError) {
         await this.sendMessage(chatId, `❌ Cannot upgrade: ${validationError.message}
 
@@ -721,7 +902,7 @@ Please connect your wallet first:
       }
 
       const { ethers } = require('ethers');
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const newPlanPrice = ethers.formatUnits(validation.newPlanInfo.price, usdtDecimals);
       const upgradeCost = ethers.formatUnits(validation.upgradeCost, usdtDecimals);
 
@@ -736,40 +917,265 @@ Please connect your wallet first:
 • New Plan Price: ${newPlanPrice} USDT
 • Upgrade Cost: ${upgradeCost} USDT
 
+💡 If your USDT allowance is too low you will be asked to approve first
 ⏳ Sending transaction request to your wallet...
       `);
 
-      const result = await this.walletService.sendTransaction(
-        userId,
-        txData,
-        `Upgrade to Plan ${newPlanId}`
-      );
+      await this.walletService.runTransactionPipeline(userId, [
+        this.buildApproveStep(chatId, connection.address, validation.upgradeCost),
+        {
+          name: `Upgrade to Plan ${newPlanId}`,
+          description: `Upgrade to Plan ${newPlanId}`,
+          buildTransaction: async () => this.contractService.prepareTransaction(txData, connection.address),
+          meta: { chatId, type: 'upgrade', planId: newPlanId }
+        }
+      ], {
+        waitForConfirmation: (txHash) => this.contractService.waitForTransactionConfirmation(txHash),
+        onProgress: this.createPipelineReporter(chatId)
+      });
 
-      if (result.success) {
+    } catch (error) {
+      console.error('Upgrade error:', error);
+      if (this.isReportedByTracker(error)) return;
+      await this.sendMessage(chatId, `❌ Upgrade failed: ${error.message}`);
+    }
+  }
+
+  // === REGISTRATION WIZARD ===
+  // Steps: connect -> plan -> allowance -> confirm. State is persisted so a
+  // user who leaves mid-way resumes at the same step with /join.
+
+  getWizardState(userId) {
+    return this.wizardStore.load().wizards[userId] || null;
+  }
+
+  async saveWizardState(userId, state) {
+    this.wizardStore.load().wizards[userId] = { ...state, updatedAt: Date.now() };
+    await this.wizardStore.save();
+  }
+
+  async clearWizardState(userId) {
+    delete this.wizardStore.load().wizards[userId];
+    await this.wizardStore.save();
+  }
+
+  async handleJoin(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const existing = this.getWizardState(userId);
+
+    if (existing) {
+      const stepNames = { connect: 'wallet connection', plan: 'plan selection', allowance: 'USDT approval', confirm: 'confirmation' };
+      await this.sendMessage(chatId, `👋 *Welcome back!* Resuming your registration at: ${stepNames[existing.step] || existing.step}`, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔄 Start Over', callback_data: 'wiz_restart' }]]
+        }
+      });
+    }
+
+    await this.advanceWizard(chatId, userId);
+  }
+
+  async handleWizardCallback(chatId, userId, data) {
+    if (data === 'wiz_start' || data === 'wiz_resume') {
+      await this.advanceWizard(chatId, userId);
+    } else if (data === 'wiz_restart') {
+      await this.clearWizardState(userId);
+      await this.advanceWizard(chatId, userId);
+    } else if (data === 'wiz_cancel') {
+      await this.clearWizardState(userId);
+      await this.sendMessage(chatId, '✅ Registration canceled. Use `/join` whenever you want to start again.');
+    } else if (data === 'wiz_connect') {
+      await this.handleConnect({ chat: { id: chatId, type: 'private' }, from: { id: userId } });
+    } else if (data.startsWith('wiz_plan_')) {
+      const planId = parseInt(data.split('_')[2]);
+      if (planId !== 1) {
+        await this.sendMessage(chatId, `❌ ${this.contractService.translateContractError('Plan1Only')}`);
+        return;
+      }
+      const state = this.getWizardState(userId) || {};
+      await this.saveWizardState(userId, { ...state, planId });
+      await this.advanceWizard(chatId, userId);
+    } else if (data === 'wiz_approve') {
+      await this.runWizardApproval(chatId, userId);
+    } else if (data === 'wiz_register') {
+      await this.runWizardRegistration(chatId, userId);
+    }
+  }
+
+  // Works out the next step from saved state plus live wallet/chain checks
+  async advanceWizard(chatId, userId) {
+    try {
+      const state = this.getWizardState(userId) || {};
+
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.saveWizardState(userId, { ...state, step: 'connect' });
         await this.sendMessage(chatId, `
-✅ *Transaction Sent Successfully!*
+📝 *Register - Step 1 of 4: Connect Wallet*
 
-📄 *Transaction Hash:* \`${result.txHash}\`
-🔗 *Explorer:* [View Transaction](${this.contractService.getExplorerUrl(result.txHash)})
+Connect the wallet you want to register with. The wizard continues automatically once it is connected.
+        `, {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🔗 Connect Wallet', callback_data: 'wiz_connect' }],
+              [{ text: '🔄 I\'ve Connected', callback_data: 'wiz_resume' }, { text: '❌ Cancel', callback_data: 'wiz_cancel' }]
+            ]
+          }
+        });
+        return;
+      }
 
-⏳ *Status:* Waiting for confirmation...
+      const memberInfo = await this.contractService.getMemberInfo(connection.address);
+      if (memberInfo.isMember) {
+        await this.clearWizardState(userId);
+        await this.sendMessage(chatId, `✅ \`${connection.address}\` is already a member (Plan ${memberInfo.planId})\n\n💡 Use \`/myinfo\` to view your membership`);
+        return;
+      }
 
-💡 Use \`/txstatus ${result.txHash}\` to check status
-        `);
+      if (!state.planId) {
+        await this.saveWizardState(userId, { ...state, step: 'plan' });
+        await this.renderWizardPlans(chatId);
+        return;
+      }
+
+      const planInfo = await this.contractService.getPlanInfo(state.planId, { fresh: true });
+      const balance = await this.contractService.usdtContract.balanceOf(connection.address);
+      const allowance = await this.contractService.usdtContract.allowance(connection.address, config.contractAddress);
+      const price = BigInt(planInfo.price);
+
+      if (balance < price) {
+        await this.saveWizardState(userId, { ...state, step: 'allowance' });
+        await this.sendMessage(chatId, `
+❌ *Insufficient USDT Balance*
+
+• Required: ${await this.contractService.formatPrice(price)} USDT
+• Your Balance: ${await this.contractService.formatPrice(balance)} USDT
+
+Top up your wallet, then tap *Check Again*.
+        `, {
+          reply_markup: {
+            inline_keyboard: [[{ text: '🔄 Check Again', callback_data: 'wiz_resume' }, { text: '❌ Cancel', callback_data: 'wiz_cancel' }]]
+          }
+        });
+        return;
+      }
+
+      if (allowance < price) {
+        await this.saveWizardState(userId, { ...state, step: 'allowance' });
+        await this.sendMessage(chatId, `
+📝 *Register - Step 3 of 4: Approve USDT*
+
+• Plan Price: ${await this.contractService.formatPrice(price)} USDT
+• Current Allowance: ${await this.contractService.formatPrice(allowance)} USDT
+• Shortfall: ${await this.contractService.formatPrice(price - allowance)} USDT
+
+The contract needs permission to spend the plan price from your wallet.
+        `, {
+          reply_markup: {
+            inline_keyboard: [[{ text: '✅ Approve USDT', callback_data: 'wiz_approve' }, { text: '❌ Cancel', callback_data: 'wiz_cancel' }]]
+          }
+        });
+        return;
+      }
+
+      const upline = await this.resolveUpline(userId);
+      await this.saveWizardState(userId, { ...state, step: 'confirm' });
+      await this.sendMessage(chatId, `
+📝 *Register - Step 4 of 4: Confirm*
+
+📋 *Details:*
+• Wallet: \`${connection.address}\`
+• Plan: ${planInfo.name} (Plan ${state.planId})
+• Price: ${await this.contractService.formatPrice(price)} USDT
+• Upline: \`${upline.address}\` (${upline.label})
+
+Tap *Register* to send the transaction to your wallet.
+      `, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🚀 Register', callback_data: 'wiz_register' }, { text: '❌ Cancel', callback_data: 'wiz_cancel' }]]
+        }
+      });
+
+    } catch (error) {
+      console.error('Wizard error:', error);
+      await this.sendMessage(chatId, `❌ Registration wizard error: ${error.message}\n\n💡 Use \`/join\` to try again`);
+    }
+  }
 
-        this.monitorTransaction(chatId, result.txHash, 'upgrade');
+  async renderWizardPlans(chatId) {
+    const plans = await this.contractService.getAllPlans();
+    const keyboard = [];
+    let message = '📝 *Register - Step 2 of 4: Choose Plan*\n\n';
+
+    for (const planInfo of plans) {
+      if (planInfo.error || !planInfo.isActive) continue;
+
+      const planId = planInfo.planId;
+      const price = await this.contractService.formatPrice(planInfo.price);
+      message += `• *Plan ${planId}: ${planInfo.name}* - ${price} USDT\n`;
+      keyboard.push([{ text: `${planId === 1 ? '✅' : '🔒'} Plan ${planId} - ${price} USDT`, callback_data: `wiz_plan_${planId}` }]);
+    }
+
+    message += '\n📝 New members start from Plan 1 and upgrade one plan at a time';
+    keyboard.push([{ text: '❌ Cancel', callback_data: 'wiz_cancel' }]);
+
+    await this.sendMessage(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+  }
+
+  async runWizardApproval(chatId, userId) {
+    try {
+      const state = this.getWizardState(userId);
+      const connection = await this.walletService.checkConnection(userId);
+      if (!state || !state.planId || !connection.connected) {
+        await this.advanceWizard(chatId, userId);
+        return;
       }
 
+      // approve() replaces the allowance rather than adding to it, so the
+      // shortfall is covered by approving exactly the plan price
+      const planInfo = await this.contractService.getPlanInfo(state.planId, { fresh: true });
+      const txData = await this.contractService.prepareTransaction(
+        this.contractService.buildApproveTransaction(planInfo.price),
+        connection.address
+      );
+
+      await this.sendMessage(chatId, `⏳ Sending approval request to your wallet...${this.formatGasCost(txData.gasCost)}`);
+      const result = await this.walletService.sendTransaction(userId, txData, `Approve Plan ${state.planId} price`, {
+        chatId, type: 'approval', planId: state.planId, notify: false
+      });
+
+      await this.sendMessage(chatId, `⏳ Approval sent, waiting for confirmation...\n🔗 [View Transaction](${this.contractService.getExplorerUrl(result.txHash)})`);
+      await this.contractService.waitForTransactionConfirmation(result.txHash);
+
+      await this.sendMessage(chatId, '✅ USDT approved!');
+      await this.advanceWizard(chatId, userId);
+
     } catch (error) {
-      console.error('Upgrade error:', error);
-      await this.sendMessage(chatId, `❌ Upgrade failed: ${error.message}`);
+      console.error('Wizard approval error:', error);
+      await this.sendMessage(chatId, `❌ Approval failed: ${error.message}`, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔄 Try Again', callback_data: 'wiz_resume' }, { text: '❌ Cancel', callback_data: 'wiz_cancel' }]]
+        }
+      });
+    }
+  }
+
+  async runWizardRegistration(chatId, userId) {
+    const state = this.getWizardState(userId);
+    if (!state || state.step !== 'confirm') {
+      await this.advanceWizard(chatId, userId);
+      return;
     }
+
+    await this.clearWizardState(userId);
+    await this.handleRegister({ chat: { id: chatId }, from: { id: userId } }, [null, String(state.planId)]);
   }
 
   async handleApproveUSDT(msg, match) {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
-  const amount = match[1];
+  const amount = match[1].replace(/\s*--dry\b/, '').trim();
 
   try {
     const connection = await this.walletService.checkConnection(userId);
@@ -779,7 +1185,18 @@ Please connect your wallet first:
     }
 
     const amountWei = await this.contractService.parsePrice(amount);
-    const txData = this.contractService.buildApproveTransaction(amountWei);
+
+    if (this.isDryRun(msg)) {
+      await this.sendDryRunReport(chatId, `Approve ${amount} USDT`, [
+        { label: `Approve ${amount} USDT`, simulation: await this.contractService.simulateApprove(connection.address, amountWei) }
+      ]);
+      return;
+    }
+
+    const txData = await this.contractService.prepareTransaction(
+      this.contractService.buildApproveTransaction(amountWei),
+      connection.address
+    );
 
     await this.sendMessage(chatId, `
 💡 *Ready to Approve USDT*
@@ -787,14 +1204,15 @@ Please connect your wallet first:
 📋 *Details:*
 • Amount: ${amount} USDT
 • Contract: \`${config.contractAddress}\`
-
+${this.formatGasCost(txData.gasCost)}
 ⏳ Sending approval request to your wallet...
     `);
 
     const result = await this.walletService.sendTransaction(
       userId,
       txData,
-      `Approve ${amount} USDT`
+      `Approve ${amount} USDT`,
+      { chatId, type: 'approval' }
     );
 
     if (result.success) {
@@ -854,10 +1272,8 @@ Please connect your wallet first:
 2️⃣ Look for "WalletConnect" or pending requests
 3️⃣ Tap "Approve" to confirm the transaction
 
-⏰ Use \`/txstatus ${result.txHash}\` to check status
+⏰ You will get a message once it confirms, or check \`/mytx\`
       `, { reply_markup: keyboard });
-
-      this.monitorTransaction(chatId, result.txHash, 'approval');
     }
 
   } catch (error) {
@@ -866,83 +1282,542 @@ Please connect your wallet first:
   }
 }
 
-  // === TRANSACTION MONITORING ===
+  async handleExit(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
 
-  async monitorTransaction(chatId, txHash, txType) {
     try {
-      const status = await this.contractService.waitForTransactionConfirmation(txHash);
-      
-      if (status.status === 'success') {
-        let message = `
-✅ *${txType.charAt(0).toUpperCase() + txType.slice(1)} Successful!*
-
-📄 *Transaction Hash:* \`${txHash}\`
-🔗 *Explorer:* [View Transaction](${status.explorerUrl})
-⛽ *Gas Used:* ${status.gasUsed}
-🧱 *Block:* ${status.blockNumber}
-        `;
-
-        if (txType === 'registration' || txType === 'upgrade') {
-          message += `\n💡 Use \`/myinfo\` to view updated membership info`;
-        }
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
 
-        await this.sendMessage(chatId, message);
+      if (this.isDryRun(msg)) {
+        await this.sendDryRunReport(chatId, 'Exit Membership', [
+          { label: 'Exit membership', simulation: await this.contractService.simulateExit(connection.address) }
+        ]);
+        return;
       }
-    } catch (error) {
-      await this.sendMessage(chatId, `
-❌ *Transaction Monitoring Failed*
 
-📄 *Transaction Hash:* \`${txHash}\`
-❓ *Error:* ${error.message}
+      await this.sendMessage(chatId, '⏳ Checking exit conditions...');
 
-🔗 Please check transaction status manually:
-${this.contractService.getExplorerUrl(txHash)}
-      `);
-    }
-  }
+      const preflight = await this.contractService.validateExit(connection.address);
+      const refund = await this.contractService.formatPrice(preflight.refundAmount);
+      const unlockDate = new Date(preflight.unlockAt * 1000).toLocaleString('en-US');
 
-  async handleTransactionStatus(msg, match) {
-    const chatId = msg.chat.id;
-    const txHash = match[1];
+      if (!preflight.canExit) {
+        this.exitConfirmations.delete(userId);
 
-    try {
-      const status = await this.contractService.checkTransactionStatus(txHash);
-      
-      let statusEmoji;
-      switch (status.status) {
-        case 'success':
-          statusEmoji = '✅';
-          break;
-        case 'failed':
-          statusEmoji = '❌';
-          break;
-        case 'pending':
-          statusEmoji = '⏳';
-          break;
-        default:
-          statusEmoji = '❓';
-      }
+        const lockInfo = preflight.remainingSeconds > 0
+          ? `\n⏰ *Time Remaining:* ${this.formatDuration(preflight.remainingSeconds)}\n📅 *Unlocks At:* ${unlockDate}`
+          : '';
 
-      let message = `
-${statusEmoji} *Transaction Status*
+        await this.sendMessage(chatId, `
+🔒 *Exit Not Available Yet*
 
-📄 *Hash:* \`${txHash}\`
-📊 *Status:* ${status.status.toUpperCase()}
-💬 *Message:* ${status.message}
-      `;
+❓ *Reason:* ${preflight.reason}${lockInfo}
 
-      if (status.explorerUrl) {
-        message += `\n🔗 *Explorer:* [View Transaction](${status.explorerUrl})`;
-      }
+📋 *Expected Refund:* ${refund} USDT (${config.exitRefundPercent}% of Plan ${preflight.planId} price)
 
-      if (status.blockNumber) {
-        message += `\n🧱 *Block:* ${status.blockNumber}`;
+💡 Use \`/exit\` again once the lock has ended
+        `);
+        return;
       }
 
-      if (status.gasUsed) {
+      this.exitConfirmations.set(userId, { step: 1, expiresAt: Date.now() + 2 * 60 * 1000 });
+
+      await this.sendMessage(chatId, `
+🚪 *Exit Membership*
+
+📋 *Details:*
+• Wallet: \`${connection.address}\`
+• Current Plan: ${preflight.planInfo.name} (Plan ${preflight.planId})
+• Registered: ${new Date(preflight.registeredAt * 1000).toLocaleString('en-US')}
+• Expected Refund: ${refund} USDT (${config.exitRefundPercent}% of plan price)
+
+⚠️ *Warning:*
+• Your membership NFT will be burned
+• You stop earning referral commissions
+• This cannot be undone
+
+Step 1 of 2 - tap *Continue* to proceed
+      `, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⚠️ Continue', callback_data: 'exit_step1' }, { text: '❌ Cancel', callback_data: 'exit_cancel' }]
+          ]
+        }
+      });
+
+    } catch (error) {
+      console.error('Exit error:', error);
+      await this.sendMessage(chatId, `❌ Cannot exit: ${error.message}
+
+💡 Use \`/myinfo\` to check your membership status`);
+    }
+  }
+
+  async handleExitCallback(chatId, userId, data) {
+    const pending = this.exitConfirmations.get(userId);
+
+    if (data === 'exit_cancel') {
+      this.exitConfirmations.delete(userId);
+      await this.sendMessage(chatId, '✅ Exit canceled. Your membership is unchanged.');
+      return;
+    }
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.exitConfirmations.delete(userId);
+      await this.sendMessage(chatId, '⏰ Exit confirmation expired. Please start again with `/exit`');
+      return;
+    }
+
+    if (data === 'exit_step1' && pending.step === 1) {
+      this.exitConfirmations.set(userId, { step: 2, expiresAt: Date.now() + 2 * 60 * 1000 });
+
+      await this.sendMessage(chatId, `
+🛑 *Final Confirmation*
+
+Are you absolutely sure you want to exit the membership system?
+
+Step 2 of 2 - the exit transaction will be sent to your wallet
+      `, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🚪 Yes, Exit Now', callback_data: 'exit_confirm' }, { text: '❌ Cancel', callback_data: 'exit_cancel' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    if (data === 'exit_confirm' && pending.step === 2) {
+      this.exitConfirmations.delete(userId);
+      await this.sendExitTransaction(chatId, userId);
+      return;
+    }
+
+    await this.sendMessage(chatId, '❌ Invalid confirmation step. Please start again with `/exit`');
+  }
+
+  async sendExitTransaction(chatId, userId) {
+    try {
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      // Conditions may have changed while the user was confirming
+      const preflight = await this.contractService.validateExit(connection.address);
+      if (!preflight.canExit) {
+        await this.sendMessage(chatId, `❌ Cannot exit: ${preflight.reason}`);
+        return;
+      }
+
+      const txData = await this.contractService.prepareTransaction(
+        this.contractService.buildExitTransaction(),
+        connection.address
+      );
+
+      await this.sendMessage(chatId, `⏳ Sending exit request to your wallet...${this.formatGasCost(txData.gasCost)}`);
+
+      const result = await this.walletService.sendTransaction(userId, txData, 'Exit Membership', { chatId, type: 'exit' });
+
+      if (result.success) {
+        await this.sendMessage(chatId, `
+✅ *Transaction Sent Successfully!*
+
+📄 *Transaction Hash:* \`${result.txHash}\`
+🔗 *Explorer:* [View Transaction](${this.contractService.getExplorerUrl(result.txHash)})
+
+⏳ *Status:* Waiting for confirmation...
+
+💡 You will get a message once it confirms, or check \`/mytx\`
+        `);
+      }
+
+    } catch (error) {
+      console.error('Exit transaction error:', error);
+      await this.sendMessage(chatId, `❌ Exit failed: ${error.message}`);
+    }
+  }
+
+  formatCycleEta(cycle) {
+    if (cycle.filled >= cycle.capacity) {
+      return 'Cycle full, next cycle starting';
+    }
+    if (!cycle.estimatedCompletionAt) {
+      return this.eventIndexer ? 'Unknown (no recent entries)' : 'Unavailable';
+    }
+    return `~${new Date(cycle.estimatedCompletionAt).toLocaleString('en-US')}`;
+  }
+
+  formatDuration(totalSeconds) {
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+
+    const parts = [];
+    if (days > 0) parts.push(`${days}d`);
+    if (hours > 0) parts.push(`${hours}h`);
+    parts.push(`${minutes}m`);
+    return parts.join(' ');
+  }
+
+  // Upline priority: explicit argument, then the /start ref_ link, then the contract owner
+  async resolveUpline(userId, explicitUpline) {
+    if (explicitUpline) {
+      return { address: explicitUpline, source: 'argument', label: 'specified' };
+    }
+
+    const referral = this.referralStore.getReferral(userId);
+    if (referral) {
+      return { address: referral.uplineAddress, source: 'referral', label: 'from invitation link' };
+    }
+
+    const owner = await this.contractService.getContractOwner();
+    return { address: owner, source: 'owner', label: 'contract owner' };
+  }
+
+  // === DRY RUNS ===
+  // `--dry` on a write command simulates it with eth_call from the connected
+  // wallet, so the contract itself decides whether it would go through
+
+  isDryRun(msg) {
+    return /\s--dry\b/.test(msg.text || '');
+  }
+
+  async sendDryRunReport(chatId, title, steps) {
+    const lines = steps.map(({ label, simulation, dependsOnApproval }) => {
+      if (simulation.success) {
+        const gas = simulation.gasEstimate ? ` (gas ~${Number(simulation.gasEstimate).toLocaleString('en-US')})` : '';
+        return `✅ *${label}:* would succeed${gas}`;
+      }
+
+      const errorName = simulation.error.name ? ` (\`${simulation.error.name}\`)` : '';
+      const allowanceError = /allowance/i.test(`${simulation.error.name} ${simulation.error.message}`);
+      const note = dependsOnApproval && allowanceError ? '\n   ⚠️ Expected until the approval above is confirmed' : '';
+      return `❌ *${label}:* would revert - ${simulation.error.message}${errorName}${note}`;
+    });
+
+    const willSucceed = steps.every(step => step.simulation.success);
+
+    await this.sendMessage(chatId, `
+🧪 *Dry Run: ${title}*
+
+${lines.join('\n')}
+
+${willSucceed ? '🟢 Run the command without `--dry` to send it' : '🔴 Fix the issue above before sending'}
+💡 No transaction was sent
+    `);
+  }
+
+  // Register needs an approval first when the allowance is too low; the
+  // register simulation then fails on allowance until that approval lands
+  async sendRegisterDryRun(chatId, address, planId, upline) {
+    await this.sendMessage(chatId, '🧪 Simulating registration...');
+
+    const steps = [];
+    let needsApproval = false;
+    try {
+      const planInfo = await this.contractService.getPlanInfo(planId);
+      const allowance = await this.contractService.usdtContract.allowance(address, config.contractAddress);
+      needsApproval = allowance < BigInt(planInfo.price);
+      if (needsApproval) {
+        steps.push({
+          label: `Approve ${await this.contractService.formatPrice(planInfo.price)} USDT`,
+          simulation: await this.contractService.simulateApprove(address, planInfo.price)
+        });
+      }
+    } catch (error) {
+      // Unknown plan, the register simulation below reports the revert
+    }
+
+    steps.push({
+      label: `Register Plan ${planId} under ${upline.address.substring(0, 10)}... (${upline.label})`,
+      simulation: await this.contractService.simulateRegister(address, planId, upline.address),
+      dependsOnApproval: needsApproval
+    });
+
+    await this.sendDryRunReport(chatId, `Register Plan ${planId}`, steps);
+  }
+
+  async sendUpgradeDryRun(chatId, address, newPlanId) {
+    await this.sendMessage(chatId, '🧪 Simulating upgrade...');
+
+    const steps = [];
+    let needsApproval = false;
+    try {
+      const memberInfo = await this.contractService.getMemberInfo(address);
+      const newPlanInfo = await this.contractService.getPlanInfo(newPlanId);
+      const currentPlanInfo = await this.contractService.getPlanInfo(parseInt(memberInfo.planId));
+      const upgradeCost = BigInt(newPlanInfo.price) - BigInt(currentPlanInfo.price);
+      const allowance = await this.contractService.usdtContract.allowance(address, config.contractAddress);
+
+      needsApproval = upgradeCost > 0n && allowance < upgradeCost;
+      if (needsApproval) {
+        steps.push({
+          label: `Approve ${await this.contractService.formatPrice(upgradeCost)} USDT`,
+          simulation: await this.contractService.simulateApprove(address, upgradeCost)
+        });
+      }
+    } catch (error) {
+      // Not a member or unknown plan, the upgrade simulation reports the revert
+    }
+
+    steps.push({
+      label: `Upgrade to Plan ${newPlanId}`,
+      simulation: await this.contractService.simulateUpgrade(address, newPlanId),
+      dependsOnApproval: needsApproval
+    });
+
+    await this.sendDryRunReport(chatId, `Upgrade to Plan ${newPlanId}`, steps);
+  }
+
+  // === TRANSACTION PIPELINES ===
+
+  // Approve step that is skipped when the current allowance already covers amount
+  buildApproveStep(chatId, userAddress, amount) {
+    return {
+      name: 'Approve USDT',
+      description: 'Approve USDT',
+      // The pipeline reports this step itself
+      meta: { chatId, type: 'approval', notify: false },
+      skipIf: async () => {
+        const allowance = await this.contractService.usdtContract.allowance(userAddress, config.contractAddress);
+        return allowance >= BigInt(amount);
+      },
+      buildTransaction: async () => this.contractService.prepareTransaction(
+        this.contractService.buildApproveTransaction(amount),
+        userAddress
+      )
+    };
+  }
+
+  // Shows on-chain or user text literally inside legacy Markdown messages
+  escapeMarkdown(text) {
+    return text.replace(/([_*`\[])/g, '\\$1');
+  }
+
+  formatGasCost(gasCost) {
+    return gasCost ? `\n⛽ Estimated network fee: up to ${gasCost.formatted}` : '';
+  }
+
+  createPipelineReporter(chatId) {
+    return async ({ index, total, step, status, txHash, gasCost }) => {
+      const label = `Step ${index + 1}/${total}: ${step.name}`;
+
+      switch (status) {
+        case 'skipped':
+          await this.sendMessage(chatId, `⏭️ ${label} - skipped (already satisfied)`);
+          break;
+        case 'sending':
+          await this.sendMessage(chatId, `⏳ ${label} - please approve in your wallet app...${this.formatGasCost(gasCost)}`);
+          break;
+        case 'sent':
+          await this.sendMessage(chatId, `📤 ${label} - sent, waiting for confirmation\n🔗 [View Transaction](${this.contractService.getExplorerUrl(txHash)})\n💡 \`/txstatus ${txHash}\``);
+          break;
+        case 'confirmed':
+          if (index < total - 1) {
+            await this.sendMessage(chatId, `✅ ${label} - confirmed`);
+          }
+          break;
+        // Failures surface through the caller's error message
+      }
+    };
+  }
+
+  // === TRANSACTION MONITORING ===
+
+  // What the member can do about a decoded revert
+  suggestNextCommand(errorName) {
+    const suggestions = {
+      'AlreadyMember': 'Use `/myinfo` to view your membership, or `/upgrade <plan>` to move up',
+      'Plan1Only': 'Register with `/register 1` first',
+      'UplineNotMember': 'Check your upline with `/validate 1 <upline>` or ask for a new referral link',
+      'UplinePlanLow': 'Your upline must hold this plan first - check with `/validateupgrade <plan>`',
+      'NextPlanOnly': 'Check your current plan with `/myinfo` and upgrade one plan at a time',
+      'NotMember': 'Join first with `/join` or `/register 1`',
+      'Paused': 'Check `/contractstatus` and try again once the system is resumed',
+      'InactivePlan': 'See available plans with `/allplans`',
+      'InvalidPlanID': 'See available plans with `/allplans`',
+      'ThirtyDayLock': 'Check your registration date with `/myinfo`',
+      'LowFundBalance': 'The fund cannot cover your exit right now - try again later',
+      'InvalidAmount': 'Check your balance with `/usdtbalance`',
+      'SafeERC20FailedOperation': 'Check `/usdtbalance` and approve enough USDT with `/approve <amount>`',
+      'ERC20InsufficientAllowance': 'Approve enough USDT with `/approve <amount>`',
+      'ERC20InsufficientBalance': 'Top up your wallet and check `/usdtbalance`'
+    };
+
+    return suggestions[errorName] || null;
+  }
+
+  async handleTransactionSent({ telegramUserId, txHash, from, description, purpose, meta }) {
+    // Admin signer sessions are awaited by the admin bot
+    if (purpose === 'admin') return;
+    await this.transactionTracker.track({ txHash, telegramUserId, from, description, meta });
+  }
+
+  // A failed transaction the tracker will announce, so the caller stays quiet
+  isReportedByTracker(error) {
+    if (!error.txStatus || !error.txHash) return false;
+    const record = this.transactionTracker.get(error.txHash);
+    return Boolean(record && record.notify);
+  }
+
+  async handleTrackedTransaction(record) {
+    if (!record.notify) return;
+
+    const title = record.type.charAt(0).toUpperCase() + record.type.slice(1);
+    const explorerUrl = this.contractService.getExplorerUrl(record.hash);
+    let message;
+
+    switch (record.status) {
+      case 'confirmed':
+        message = `
+✅ *${title} Successful!*
+
+📄 *Transaction Hash:* \`${record.hash}\`
+🔗 *Explorer:* [View Transaction](${explorerUrl})
+⛽ *Gas Used:* ${record.gasUsed}
+🧱 *Block:* ${record.blockNumber}
+        `;
+
+        if (record.type === 'registration' || record.type === 'upgrade') {
+          message += `\n💡 Use \`/myinfo\` to view updated membership info`;
+        }
+        break;
+
+      case 'failed': {
+        const suggestion = this.suggestNextCommand(record.errorName);
+        message = `
+❌ *${title} Failed*
+
+📄 *Transaction Hash:* \`${record.hash}\`
+🔗 *Explorer:* [View Transaction](${explorerUrl})
+❓ *Reason:* ${record.error}${suggestion ? `\n\n💡 ${suggestion}` : ''}
+        `;
+        break;
+      }
+
+      case 'replaced':
+        message = `
+🔁 *${title} Replaced*
+
+📄 *Transaction Hash:* \`${record.hash}\`
+❓ *Reason:* ${record.error}
+
+💡 Your wallet sent another transaction in its place (speed up or cancel). Check your wallet history
+        `;
+        break;
+
+      case 'dropped':
+        message = `
+🕳️ *${title} Dropped*
+
+📄 *Transaction Hash:* \`${record.hash}\`
+❓ *Reason:* ${record.error}
+
+💡 The network never mined it. Check \`/mytx\` and try again if needed
+        `;
+        break;
+
+      default:
+        return;
+    }
+
+    await this.sendMessage(record.chatId, message);
+  }
+
+  async handleMyTransactions(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const records = this.transactionTracker.getRecent(userId);
+      if (records.length === 0) {
+        await this.sendMessage(chatId, '📭 No transactions yet');
+        return;
+      }
+
+      const statusEmoji = {
+        pending: '⏳',
+        confirmed: '✅',
+        failed: '❌',
+        dropped: '🕳️',
+        replaced: '🔁'
+      };
+
+      let message = '🧾 *Your Recent Transactions*\n\n';
+      for (const record of records) {
+        const plan = record.planId ? ` • Plan ${record.planId}` : '';
+        message += `${statusEmoji[record.status] || '❓'} *${record.type}*${plan} - ${record.status.toUpperCase()}\n`;
+        message += `   [${record.hash.slice(0, 10)}…${record.hash.slice(-6)}](${this.contractService.getExplorerUrl(record.hash)})`;
+        message += ` • ${new Date(record.createdAt).toLocaleString('en-US')}\n`;
+        if (record.error && record.status !== 'confirmed') {
+          message += `   ❓ ${record.error}\n`;
+        }
+        message += '\n';
+      }
+
+      message += '💡 Use `/txstatus <hash>` for details';
+      await this.sendMessage(chatId, message);
+
+    } catch (error) {
+      console.error('My transactions error:', error);
+      await this.sendMessage(chatId, `❌ Error loading transactions: ${error.message}`);
+    }
+  }
+
+  async handleTransactionStatus(msg, match) {
+    const chatId = msg.chat.id;
+    const txHash = match[1];
+
+    try {
+      const status = await this.contractService.checkTransactionStatus(txHash);
+      
+      let statusEmoji;
+      switch (status.status) {
+        case 'success':
+          statusEmoji = '✅';
+          break;
+        case 'failed':
+          statusEmoji = '❌';
+          break;
+        case 'pending':
+          statusEmoji = '⏳';
+          break;
+        default:
+          statusEmoji = '❓';
+      }
+
+      let message = `
+${statusEmoji} *Transaction Status*
+
+📄 *Hash:* \`${txHash}\`
+📊 *Status:* ${status.status.toUpperCase()}
+💬 *Message:* ${status.message}
+      `;
+
+      if (status.explorerUrl) {
+        message += `\n🔗 *Explorer:* [View Transaction](${status.explorerUrl})`;
+      }
+
+      if (status.blockNumber) {
+        message += `\n🧱 *Block:* ${status.blockNumber}`;
+      }
+
+      if (status.gasUsed) {
         message += `\n⛽ *Gas Used:* ${status.gasUsed}`;
       }
 
+      const suggestion = status.status === 'failed' && this.suggestNextCommand(status.errorName);
+      if (suggestion) {
+        message += `\n\n💡 ${suggestion}`;
+      }
+
       await this.sendMessage(chatId, message);
 
     } catch (error) {
@@ -951,6 +1826,82 @@ ${statusEmoji} *Transaction Status*
     }
   }
 
+  async handleHistory(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      if (!this.eventIndexer) {
+        await this.sendMessage(chatId, '❌ Membership history is not available (event indexer disabled)');
+        return;
+      }
+
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      const events = this.eventIndexer.getMemberHistory(connection.address, 15);
+      if (events.length === 0) {
+        await this.sendMessage(chatId, `
+📜 *Membership History*
+
+No indexed activity found for \`${connection.address}\`
+
+💡 New activity appears here a few blocks after it is confirmed
+        `);
+        return;
+      }
+
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
+      const lines = events.map(event => {
+        const date = event.timestamp ? new Date(event.timestamp * 1000).toLocaleDateString('en-US') : `Block ${event.blockNumber}`;
+        return `• ${date}: ${this.describeEvent(event, connection.address, usdtDecimals)} [tx](${this.contractService.getExplorerUrl(event.transactionHash)})`;
+      });
+
+      await this.sendMessage(chatId, `
+📜 *Membership History*
+
+🔗 *Wallet:* \`${connection.address}\`
+
+${lines.join('\n')}
+
+📊 Indexed up to block ${this.eventIndexer.getStatus().lastIndexedBlock}
+      `, { disable_web_page_preview: true });
+
+    } catch (error) {
+      console.error('History error:', error);
+      await this.sendMessage(chatId, `❌ Error retrieving history: ${error.message}`);
+    }
+  }
+
+  describeEvent(event, address, usdtDecimals) {
+    const { ethers } = require('ethers');
+    const me = address.toLowerCase();
+    const short = (value) => `${value.substring(0, 6)}...${value.substring(38)}`;
+    const args = event.args;
+
+    switch (event.name) {
+      case 'MemberRegistered':
+        return args.member.toLowerCase() === me
+          ? `📝 Registered Plan ${args.planId} (cycle ${args.cycleNumber})`
+          : `👥 New downline \`${short(args.member)}\` joined Plan ${args.planId}`;
+      case 'PlanUpgraded':
+        return `⬆️ Upgraded Plan ${args.oldPlanId} → ${args.newPlanId}`;
+      case 'ReferralPaid':
+        return args.to.toLowerCase() === me
+          ? `💰 Earned ${ethers.formatUnits(args.amount, usdtDecimals)} USDT from \`${short(args.from)}\``
+          : `💸 Paid ${ethers.formatUnits(args.amount, usdtDecimals)} USDT to upline \`${short(args.to)}\``;
+      case 'MemberExited':
+        return `🚪 Exited membership (refund ${ethers.formatUnits(args.refundAmount, usdtDecimals)} USDT)`;
+      case 'UplineNotified':
+        return `🔔 Downline \`${short(args.downline)}\` wants Plan ${args.downlineTargetPlan}`;
+      default:
+        return `📌 ${event.name}`;
+    }
+  }
+
   // === INFORMATION HANDLERS ===
 
   async handleStart(msg, match) {
@@ -958,7 +1909,13 @@ ${statusEmoji} *Transaction Status*
     const refAddress = match?.[1];
 
     if (refAddress) {
-      await this.sendMessage(chatId, `🟢 You were invited by \`${refAddress}\`\nThe system will use this as upline when you register`);
+      const { referral, created } = await this.referralStore.recordReferral(msg.from.id, refAddress);
+
+      if (created) {
+        await this.sendMessage(chatId, `🟢 You were invited by \`${refAddress}\`\nThe system will use this as upline when you register`);
+      } else {
+        await this.sendMessage(chatId, `ℹ️ You were already invited by \`${referral.uplineAddress}\`\nThat address will still be used as your upline when you register`);
+      }
     } else {
       await this.sendMessage(chatId, `
 🟢 *Welcome to Crypto Membership!*
@@ -966,9 +1923,9 @@ ${statusEmoji} *Transaction Status*
 This bot helps you manage NFT membership on ${config.networkName} with secure wallet integration.
 
 🚀 *Getting Started:*
-1️⃣ \`/connect\` - Connect your wallet securely
+1️⃣ \`/join\` - Guided registration, step by step
 2️⃣ \`/myinfo\` - Check member status
-3️⃣ \`/register 1 <upline_address>\` - Register membership
+3️⃣ \`/help\` - Manual commands like \`/connect\` and \`/register\`
 
 📋 *Main Commands:*
 • \`/help\` - Show all commands
@@ -986,6 +1943,27 @@ This bot helps you manage NFT membership on ${config.networkName} with secure wa
     }
   }
 
+  async handleOpenApp(msg) {
+    const chatId = msg.chat.id;
+    const appUrl = `${config.serverUrl}/app`;
+
+    // Telegram only opens Mini Apps over HTTPS
+    if (!appUrl.startsWith('https://')) {
+      await this.sendMessage(chatId, `❌ The dashboard needs an HTTPS \`SERVER_URL\` (currently ${config.serverUrl})`);
+      return;
+    }
+
+    await this.sendMessage(chatId, `
+📊 *Membership Dashboard*
+
+View your plan, team, earnings and transactions, and register, upgrade or approve USDT with your browser wallet.
+    `, {
+      reply_markup: {
+        inline_keyboard: [[{ text: '📊 Open Dashboard', web_app: { url: appUrl } }]]
+      }
+    });
+  }
+
   async handleHelp(msg) {
     const chatId = msg.chat.id;
 
@@ -994,15 +1972,23 @@ This bot helps you manage NFT membership on ${config.networkName} with secure wa
 
 Secure NFT membership system on ${config.networkName} with WalletConnect integration.
 
+📊 *Dashboard*
+• \`/app\` - Open the Mini App dashboard
+
 🔗 *Wallet Connection*
 • \`/connect\` - Connect wallet via WalletConnect
 • \`/disconnect\` - Disconnect wallet
 • \`/wallet\` - View wallet status & balance
+• \`/link\` - Link your wallet permanently (Sign-In with Ethereum)
+• \`/unlink\` - Remove the linked wallet
 
 👤 *Registration / Upgrade*
-• \`/register <plan> <upline>\` - Register new membership
+• \`/join\` - Guided registration wizard (recommended)
+• \`/register <plan> [upline]\` - Register new membership
 • \`/upgrade <plan>\` - Upgrade membership plan
 • \`/myinfo\` - View your membership info
+• \`/mynft\` - View your membership NFT card
+• \`/exit\` - Exit membership (after ${config.exitLockDays}-day lock)
 
 📋 *Plan Information*
 • \`/planinfo <id>\` - View specific plan info
@@ -1014,22 +2000,30 @@ Secure NFT membership system on ${config.networkName} with WalletConnect integra
 
 📄 *Transaction Tracking*
 • \`/txstatus <hash>\` - Check transaction status
+• \`/mytx\` - Your recent transactions
+• \`/history\` - View your on-chain membership history
 
 🤝 *Referral (Invite Friends)*
 • \`/getreferrallink\` - Get invitation link
+• \`/team\` - View your upline chain and downlines
+• \`/notifications [instant|daily|off]\` - Earnings notification settings
 
 🔧 *System Status*
 • \`/contractstatus\` - Check system status
 
 🔍 *Validation Commands*
-• \`/validate <plan> <upline>\` - Validate before registration
+• \`/validate <plan> [upline]\` - Validate before registration
 • \`/validateupgrade <plan>\` - Validate before upgrade
+• Add \`--dry\` to \`/register\`, \`/upgrade\`, \`/approve\` or \`/exit\` to simulate it on-chain without sending
+
+💡 Without an upline, your invitation link's address is used (or the contract owner if you have none)
 
 📖 **Usage Examples**
 \`/connect\`
 \`/register 1 0xABCD...\`
 \`/approve 5\`
 \`/upgrade 2\`
+\`/register 1 --dry\`
 
 ⚠️ **Security Features:**
 ✅ WalletConnect integration - no private keys shared
@@ -1049,18 +2043,20 @@ Secure NFT membership system on ${config.networkName} with WalletConnect integra
     const userId = msg.from.id;
 
     try {
-      const connection = await this.walletService.checkConnection(userId);
-      if (!connection.connected) {
+      const address = await this.getMemberAddress(userId);
+      if (!address) {
         await this.sendMessage(chatId, `
 ❌ *Wallet Not Connected*
 
 Please connect your wallet first:
 \`/connect\`
+
+💡 Use \`/link\` once connected to view your info without reconnecting
         `);
         return;
       }
 
-      const memberInfo = await this.contractService.getMemberInfo(connection.address);
+      const memberInfo = await this.contractService.getMemberInfo(address);
 
       if (!memberInfo.isMember) {
         await this.sendMessage(chatId, `
@@ -1070,7 +2066,7 @@ You are not a member of the system yet.
 
 💡 *How to get started:*
 • \`/allplans\` - View available plans
-• \`/register 1 <upline_address>\` - Register for Plan 1
+• \`/register 1 [upline_address]\` - Register for Plan 1
 
 📝 New members must start from Plan 1
         `);
@@ -1078,7 +2074,7 @@ You are not a member of the system yet.
       }
 
       const planInfo = await this.contractService.getPlanInfo(parseInt(memberInfo.planId));
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const { ethers } = require('ethers');
       const earningsFormatted = ethers.formatUnits(memberInfo.totalEarnings, usdtDecimals);
       const registeredDate = new Date(parseInt(memberInfo.registeredAt) * 1000).toLocaleString('en-US');
@@ -1098,7 +2094,7 @@ You are not a member of the system yet.
       await this.sendMessage(chatId, `
 👤 *Your Membership Info*
 
-🔗 *Wallet:* \`${connection.address}\`
+🔗 *Wallet:* \`${address}\`
 
 📋 *Membership Details:*
 • Current Plan: ${planInfo.name} (Plan ${memberInfo.planId})
@@ -1117,6 +2113,88 @@ You are not a member of the system yet.
     }
   }
 
+  async handleMyNFT(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const address = await this.getMemberAddress(userId);
+      if (!address) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      const memberInfo = await this.contractService.getMemberInfo(address);
+      if (!memberInfo.isMember) {
+        await this.sendMessage(chatId, `
+❌ *No Membership NFT*
+
+You don't own a membership NFT yet.
+
+💡 Use \`/allplans\` to view plans and register
+        `);
+        return;
+      }
+
+      await this.sendMessage(chatId, '⏳ Loading your membership NFT...');
+
+      const card = await this.nftMetadataService.getMembershipCard(address);
+
+      // Metadata is escaped and shortened as plain text; the Markdown around
+      // it is never cut, and attributes are added only while the caption
+      // stays within Telegram's 1024 characters
+      const shorten = (text, max) => (text.length > max ? `${text.substring(0, max)}...` : text);
+      const name = this.escapeMarkdown(shorten(String(card.name), 64));
+      const description = this.escapeMarkdown(shorten(String(card.description || ''), 300));
+
+      const header = `
+🎴 *${name}*
+
+🆔 *Token ID:* ${card.tokenId}
+📋 *Plan:* ${memberInfo.planId}
+${description ? `\n${description}\n` : ''}`;
+      const footer = `
+🔗 [View on Explorer](${config.explorerUrl}/token/${config.contractAddress}?a=${card.tokenId})
+      `;
+
+      let attributes = '';
+      for (const attribute of card.attributes.slice(0, 10)) {
+        const trait = this.escapeMarkdown(shorten(String(attribute.trait_type || 'Trait'), 40));
+        const line = `• ${trait}: ${this.escapeMarkdown(shorten(String(attribute.value), 60))}\n`;
+        if (header.length + '\n🏷️ *Attributes:*\n'.length + attributes.length + line.length + footer.length > 1024) break;
+        attributes += line;
+      }
+
+      const caption = `${header}${attributes ? `\n🏷️ *Attributes:*\n${attributes}` : ''}${footer}`;
+
+      if (!card.image) {
+        await this.sendMessage(chatId, `${caption}\n⚠️ No image available for this NFT`);
+        return;
+      }
+
+      try {
+        if (card.image.asDocument) {
+          await this.bot.sendDocument(chatId, card.image.source, {
+            caption,
+            parse_mode: 'Markdown'
+          }, {
+            filename: `membership-${card.tokenId}.svg`,
+            contentType: card.image.mimeType || 'image/svg+xml'
+          });
+        } else {
+          await this.sendPhoto(chatId, card.image.source, { caption });
+        }
+      } catch (error) {
+        // Unreachable gateway or unsupported image format, still show the details
+        await this.sendMessage(chatId, `${caption}\n⚠️ Could not load NFT image`);
+      }
+
+    } catch (error) {
+      console.error('MyNFT error:', error);
+      await this.sendMessage(chatId, `❌ Error retrieving NFT: ${error.message}`);
+    }
+  }
+
   async handlePlanInfo(msg, match) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
@@ -1130,7 +2208,7 @@ You are not a member of the system yet.
 
       const planInfo = await this.contractService.getPlanInfo(planId);
       const { ethers } = require('ethers');
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const priceFormatted = ethers.formatUnits(planInfo.price, usdtDecimals);
 
       let memberInfo = null;
@@ -1148,6 +2226,20 @@ You are not a member of the system yet.
         }
       }
 
+      let cycleMessage = '';
+      try {
+        const cycle = await this.contractService.getPlanCycleReport(planId, this.eventIndexer);
+        cycleMessage = `
+
+🔄 *Cycle Progress:*
+• Current Cycle: ${cycle.currentCycle}
+• Filled: ${cycle.filled}/${cycle.capacity} members (${cycle.percent}%)
+• ${cycle.progressBar}
+• Est. Completion: ${this.formatCycleEta(cycle)}`;
+      } catch (error) {
+        console.warn('Cycle info unavailable:', error.message);
+      }
+
       let actionMessage = '';
       let keyboard = null;
 
@@ -1177,7 +2269,7 @@ You are not a member of the system yet.
           actionMessage = `\n💡 *Ready to register:*`;
           keyboard = {
             inline_keyboard: [
-              [{ text: '📝 How to Register', callback_data: 'how_to_register' }]
+              [{ text: '📝 Register Now', callback_data: 'wiz_start' }]
             ]
           };
         } else {
@@ -1192,7 +2284,7 @@ You are not a member of the system yet.
 • Plan Name: ${planInfo.name}
 • Price: ${priceFormatted} USDT
 • Members per Cycle: ${planInfo.membersPerCycle} people
-• Status: ${planInfo.isActive ? '🟢 Active' : '🔴 Inactive'}${actionMessage}
+• Status: ${planInfo.isActive ? '🟢 Active' : '🔴 Inactive'}${cycleMessage}${actionMessage}
       `, keyboard ? { reply_markup: keyboard } : {});
 
     } catch (error) {
@@ -1220,19 +2312,33 @@ You are not a member of the system yet.
     try {
       const totalPlans = await this.contractService.getTotalPlanCount();
       const { ethers } = require('ethers');
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
 
       let message = '📊 *All Membership Plans*\n\n';
 
-      for (let i = 1; i <= parseInt(totalPlans); i++) {
+      // One multicall for every plan and its cycle; the reports below read from cache
+      const plans = await this.contractService.getAllPlans();
+
+      for (const planInfo of plans) {
+        const i = planInfo.planId;
         try {
-          const planInfo = await this.contractService.getPlanInfo(i);
+          if (planInfo.error) {
+            throw new Error(planInfo.error);
+          }
           const priceFormatted = ethers.formatUnits(planInfo.price, usdtDecimals);
           const status = planInfo.isActive ? '🟢' : '🔴';
 
           message += `${status} *Plan ${i}: ${planInfo.name}*\n`;
           message += `   💰 ${priceFormatted} USDT\n`;
-          message += `   👥 ${planInfo.membersPerCycle} people/cycle\n\n`;
+          message += `   👥 ${planInfo.membersPerCycle} people/cycle\n`;
+
+          try {
+            const cycle = await this.contractService.getPlanCycleReport(i, this.eventIndexer);
+            message += `   🔄 Cycle ${cycle.currentCycle}: ${cycle.progressBar} ${cycle.filled}/${cycle.capacity}\n`;
+          } catch (error) {
+            // Cycle info is optional in the listing
+          }
+          message += '\n';
         } catch (error) {
           message += `❌ Plan ${i}: Unable to load data\n\n`;
         }
@@ -1257,7 +2363,7 @@ You are not a member of the system yet.
             }
           } else {
             message += `\n👤 *Get Started:*\n`;
-            message += `• Register: \`/register 1 <upline_address>\`\n`;
+            message += `• Register: \`/register 1 [upline_address]\`\n`;
           }
         } catch (error) {
           // Ignore error
@@ -1352,7 +2458,6 @@ Please connect your wallet first:
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const planId = parseInt(match[1]);
-    const uplineAddress = match[2];
 
     try {
       const connection = await this.walletService.checkConnection(userId);
@@ -1361,6 +2466,9 @@ Please connect your wallet first:
         return;
       }
 
+      const upline = await this.resolveUpline(userId, match[2]);
+      const uplineAddress = upline.address;
+
       await this.sendMessage(chatId, '⏳ Validating registration conditions...');
 
       await this.contractService.validateRegistration(connection.address, planId, uplineAddress);
@@ -1371,10 +2479,10 @@ Please connect your wallet first:
 📋 *Details:*
 • Wallet: \`${connection.address}\`
 • Plan: ${planId}
-• Upline: \`${uplineAddress}\`
+• Upline: \`${uplineAddress}\` (${upline.label})
 
 🟢 Ready to register! Use command:
-\`/register ${planId} ${uplineAddress}\`
+\`/register ${planId}${upline.source === 'argument' ? ` ${uplineAddress}` : ''}\`
       `);
 
     } catch (error) {
@@ -1405,7 +2513,7 @@ Please connect your wallet first:
 
       const validation = await this.contractService.validateUpgrade(connection.address, newPlanId);
 
-      const usdtDecimals = await this.contractService.usdtContract.decimals();
+      const usdtDecimals = await this.contractService.getUSDTDecimals();
       const { ethers } = require('ethers');
       const upgradeCost = ethers.formatUnits(validation.upgradeCost, usdtDecimals);
       const newPlanPrice = ethers.formatUnits(validation.newPlanInfo.price, usdtDecimals);
@@ -1436,6 +2544,11 @@ Please connect your wallet first:
     }
   }
 
+  getReferralLink(address) {
+    const botUsername = this.me && this.me.username ? this.me.username : 'ChainsxCo_bot';
+    return `https://t.me/${botUsername}?start=ref_${address}`;
+  }
+
   async handleReferralLink(msg) {
     const userId = msg.from.id;
 
@@ -1446,8 +2559,7 @@ Please connect your wallet first:
         return;
       }
 
-      const botUsername = this.me && this.me.username ? this.me.username : 'ChainsxCo_bot';
-      const refLink = `https://t.me/${botUsername}?start=ref_${connection.address}`;
+      const refLink = this.getReferralLink(connection.address);
 
       await this.sendMessage(msg.chat.id, `
 🔗 *Your Invitation Link*
@@ -1471,12 +2583,191 @@ ${refLink}
     }
   }
 
+  // === REFERRAL TEAM ===
+
+  async handleTeam(msg) {
+    await this.renderTeam(msg.chat.id, msg.from.id, 0);
+  }
+
+  async renderTeam(chatId, userId, page, messageId = null) {
+    try {
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      const short = (value) => `${value.substring(0, 6)}...${value.substring(38)}`;
+      const uplineChain = await this.contractService.getReferralChain(connection.address);
+
+      let message = `👥 *Your Team*\n\n`;
+      message += `⬆️ *Upline Chain:*\n`;
+      message += uplineChain.length > 0
+        ? uplineChain.map((upline, index) => `${index + 1}. \`${short(upline)}\``).join('\n')
+        : 'No upline (top of the tree)';
+      message += '\n\n';
+
+      if (!this.eventIndexer) {
+        message += '⚠️ Downline details are unavailable (event indexer disabled)';
+        await this.sendOrEditMessage(chatId, messageId, message);
+        return;
+      }
+
+      const levels = this.eventIndexer.getDownlineLevels(connection.address, config.teamMaxDepth);
+      const totalDownlines = levels.reduce((sum, level) => sum + level.members.length, 0);
+
+      message += `⬇️ *Downlines:* ${totalDownlines} people\n`;
+      for (const level of levels) {
+        const plans = {};
+        level.members.forEach(member => {
+          plans[member.planId] = (plans[member.planId] || 0) + 1;
+        });
+        const distribution = Object.keys(plans)
+          .sort((a, b) => a - b)
+          .map(planId => `P${planId}: ${plans[planId]}`)
+          .join(', ');
+        message += `• Level ${level.level}: ${level.members.length} (${distribution})\n`;
+      }
+
+      const direct = levels.length > 0 ? levels[0].members : [];
+      const totalPages = Math.max(1, Math.ceil(direct.length / config.teamPageSize));
+      const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+      const pageMembers = direct.slice(currentPage * config.teamPageSize, (currentPage + 1) * config.teamPageSize);
+
+      const keyboard = pageMembers.map(member => ([{
+        text: `👤 ${short(member.address)} • Plan ${member.planId}`,
+        callback_data: `team_view_${member.address}`
+      }]));
+
+      const navigation = [];
+      if (currentPage > 0) {
+        navigation.push({ text: '◀️ Prev', callback_data: `team_page_${currentPage - 1}` });
+      }
+      if (currentPage < totalPages - 1) {
+        navigation.push({ text: 'Next ▶️', callback_data: `team_page_${currentPage + 1}` });
+      }
+      if (navigation.length > 0) keyboard.push(navigation);
+
+      if (direct.length > 0) {
+        message += `\n👇 *Direct Referrals* (page ${currentPage + 1}/${totalPages}) - tap to view`;
+      } else {
+        message += `\n💡 Share \`/getreferrallink\` to start building your team`;
+      }
+
+      await this.sendOrEditMessage(chatId, messageId, message, { reply_markup: { inline_keyboard: keyboard } });
+
+    } catch (error) {
+      console.error('Team error:', error);
+      await this.sendMessage(chatId, `❌ Error retrieving team: ${error.message}`);
+    }
+  }
+
+  async renderTeamMember(chatId, userId, address, messageId = null) {
+    try {
+      const connection = await this.walletService.checkConnection(userId);
+      if (!connection.connected) {
+        await this.sendMessage(chatId, '❌ Please connect your wallet first: `/connect`');
+        return;
+      }
+
+      // Only members of the user's own downline can be inspected
+      const levels = this.eventIndexer ? this.eventIndexer.getDownlineLevels(connection.address, config.teamMaxDepth) : [];
+      const level = levels.find(entry => entry.members.some(member => member.address.toLowerCase() === address.toLowerCase()));
+      if (!level) {
+        await this.sendMessage(chatId, '❌ This address is not in your downline');
+        return;
+      }
+
+      const memberInfo = await this.contractService.getMemberInfo(address);
+      const earnings = await this.contractService.formatPrice(memberInfo.totalEarnings);
+      const theirLevels = this.eventIndexer.getDownlineLevels(address, config.teamMaxDepth);
+      const theirTeam = theirLevels.reduce((sum, entry) => sum + entry.members.length, 0);
+
+      await this.sendOrEditMessage(chatId, messageId, `
+👤 *Downline Summary*
+
+🔗 *Address:* \`${address}\`
+📊 *Level:* ${level.level}
+
+📋 *Membership:*
+• Plan: ${memberInfo.isMember ? `Plan ${memberInfo.planId}` : 'Not a member'}
+• Cycle: ${memberInfo.cycleNumber}
+• Upline: \`${memberInfo.upline}\`
+• Registered: ${new Date(parseInt(memberInfo.registeredAt) * 1000).toLocaleDateString('en-US')}
+
+💰 *Statistics:*
+• Direct Referrals: ${memberInfo.totalReferrals}
+• Team Size: ${theirTeam}
+• Total Earnings: ${earnings} USDT
+      `, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '◀️ Back to Team', callback_data: 'team_page_0' }]]
+        }
+      });
+
+    } catch (error) {
+      console.error('Team member error:', error);
+      await this.sendMessage(chatId, `❌ Error retrieving member: ${error.message}`);
+    }
+  }
+
+  async handleNotifications(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const requestedMode = match?.[1]?.toLowerCase();
+
+    try {
+      if (requestedMode) {
+        await this.notificationService.setMode(userId, requestedMode);
+      }
+
+      const mode = this.notificationService.getMode(userId);
+      const connection = await this.walletService.checkConnection(userId);
+      if (connection.connected) {
+        await this.notificationService.linkAddress(userId, connection.address);
+      }
+
+      const labels = {
+        instant: '⚡ Instant',
+        daily: `📬 Daily summary (${config.notificationDigestHour}:00 UTC)`,
+        off: '🔕 Off'
+      };
+
+      await this.sendMessage(chatId, `
+🔔 *Earnings Notifications*
+
+${requestedMode ? '✅ Preference saved!\n\n' : ''}📊 *Current Mode:* ${labels[mode]}
+
+You are notified when you earn referral commissions from your downlines and when a downline tries to upgrade above your plan.
+
+${connection.connected ? `🔗 Notifying for: \`${connection.address}\`` : '⚠️ Connect your wallet with `/connect` to link your address'}
+      `, {
+        reply_markup: {
+          inline_keyboard: [
+            NotificationService.MODES.map(option => ({
+              text: `${option === mode ? '✅ ' : ''}${labels[option].split(' (')[0]}`,
+              callback_data: `notify_${option}`
+            }))
+          ]
+        }
+      });
+
+    } catch (error) {
+      console.error('Notifications error:', error);
+      await this.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
   start() {
     console.log('🤖 User Bot started with WalletConnect integration!');
     console.log(`🌐 Network: ${config.networkName}`);
     console.log(`📄 Contract: ${config.contractAddress}`);
     console.log(`🔗 WalletConnect bridge: https://bridge.walletconnect.org`);
-    console.log(`🌐 API Server: http://localhost:3001`);
+    console.log(`🌐 API Server: http://localhost:${config.apiPort}`);
+
+    this.updates.start(this.apiServer).catch((error) => {
+      console.error('❌ User Bot could not start receiving updates:', error.message);
+    });
     console.log('✅ User Bot ready to receive commands...');
   }
 }
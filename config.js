@@ -1,4 +1,6 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 
 const config = {
   // Telegram Bot Configuration
@@ -11,7 +13,22 @@ const config = {
   
   // Blockchain Configuration
   rpcUrl: process.env.RPC_URL || 'https://data-seed-prebsc-1-s1.binance.org:8545/',
+  rpcUrls: process.env.RPC_URLS ?
+    process.env.RPC_URLS.split(',').map(url => url.trim()).filter(Boolean) : null, // defaults to [rpcUrl]
   chainId: parseInt(process.env.CHAIN_ID) || 97,
+
+  // Contract Read Cache (plans are also cleared by plan events from the indexer)
+  cacheTtlPlans: parseInt(process.env.CACHE_TTL_PLANS) || 600000, // 10 minutes
+  cacheTtlPlansUnindexed: parseInt(process.env.CACHE_TTL_PLANS_UNINDEXED) || 30000, // no event indexer to invalidate plans
+  cacheTtlCycles: parseInt(process.env.CACHE_TTL_CYCLES) || 15000,
+  multicallAddress: process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11',
+
+  // RPC Failover
+  rpcTimeout: parseInt(process.env.RPC_TIMEOUT) || 10000,
+  rpcHealthInterval: parseInt(process.env.RPC_HEALTH_INTERVAL) || 30000,
+  rpcMaxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5,
+  rpcCooldown: parseInt(process.env.RPC_COOLDOWN) || 30000, // per consecutive failure
+  rpcQuorum: parseInt(process.env.RPC_QUORUM) || 2, // matching endpoints for critical reads
   
   // Smart Contract Configuration
   contractAddress: process.env.CONTRACT_ADDRESS,
@@ -19,6 +36,8 @@ const config = {
   
   // Admin Configuration (for admin functions only)
   adminPrivateKey: process.env.ADMIN_WALLET_PRIVATE_KEY,
+  adminSigningMode: process.env.ADMIN_SIGNING_MODE || 'key', // key, walletconnect or safe
+  safeAddress: process.env.SAFE_ADDRESS || null, // owner multisig for safe signing mode
   adminTelegramUserIds: process.env.ADMIN_TELEGRAM_USER_IDS ? 
     process.env.ADMIN_TELEGRAM_USER_IDS.split(',').map(id => parseInt(id.trim())) : [],
   
@@ -29,16 +48,109 @@ const config = {
   // Gas Configuration
   gasLimit: parseInt(process.env.GAS_LIMIT) || 1000000,
   gasPrice: process.env.GAS_PRICE || '20000000000',
+  gasMode: process.env.GAS_MODE || 'auto', // auto, legacy or eip1559
+  gasLimitBufferPercent: parseInt(process.env.GAS_LIMIT_BUFFER) || 20,
+  maxFeePerGas: (BigInt(parseInt(process.env.MAX_GAS_PRICE_GWEI) || 50) * 1000000000n).toString(),
 
   // WalletConnect Configuration
   walletConnectBridge: process.env.WALLETCONNECT_BRIDGE || 'https://bridge.walletconnect.org',
   sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 1800000, // 30 minutes
+  sessionStore: process.env.SESSION_STORE || 'file', // file, memory or path to a custom store module
+
+  // Persistence
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
   
+  // Membership Exit (refund share of current plan price paid by exitMembership)
+  exitRefundPercent: parseInt(process.env.EXIT_REFUND_PERCENT) || 30,
+  exitLockDays: parseInt(process.env.EXIT_LOCK_DAYS) || 30,
+
+  // Event Indexer Configuration
+  enableIndexer: process.env.ENABLE_INDEXER !== 'false', // default true
+  indexerStartBlock: process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null,
+  indexerConfirmations: parseInt(process.env.INDEXER_CONFIRMATIONS) || 15,
+  indexerChunkSize: parseInt(process.env.INDEXER_CHUNK_SIZE) || 2000,
+  indexerPollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL) || 15000,
+
+  // Plan cycle ETA uses the member entry rate over this window
+  cycleRateWindowHours: parseInt(process.env.CYCLE_RATE_WINDOW_HOURS) || 72,
+
+  // Referral Team View
+  teamMaxDepth: parseInt(process.env.TEAM_MAX_DEPTH) || 10,
+  teamPageSize: parseInt(process.env.TEAM_PAGE_SIZE) || 5,
+
+  // NFT Metadata
+  ipfsGateway: process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+  nftMetadataCacheTtl: parseInt(process.env.NFT_METADATA_CACHE_TTL) || 3600000, // 1 hour
+
+  // Notification Configuration
+  defaultNotificationMode: process.env.DEFAULT_NOTIFICATION_MODE || 'instant', // instant, daily or off
+  notificationDigestHour: parseInt(process.env.NOTIFICATION_DIGEST_HOUR), // UTC hour for daily summaries, defaults to 12
+
+  // Admin Roles (IDs in ADMIN_TELEGRAM_USER_IDS without an entry are superadmins)
+  adminRolesFile: process.env.ADMIN_ROLES_FILE
+    ? path.resolve(process.env.ADMIN_ROLES_FILE)
+    : path.join(__dirname, 'admin-roles.json'),
+
+  // Admin Proposals
+  adminQuorum: parseInt(process.env.ADMIN_QUORUM) || 2, // actions with fewer eligible voters cannot be proposed
+  proposalTtl: parseInt(process.env.PROPOSAL_TTL) || 86400000, // 24 hours
+
   // Security Configuration
   maxTransactionRetries: parseInt(process.env.MAX_TX_RETRIES) || 3,
   transactionTimeout: parseInt(process.env.TX_TIMEOUT) || 300000, // 5 minutes
+
+  // HTTP API (SimpleServer)
+  apiPort: parseInt(process.env.API_PORT) || 3001,
+  serverUrl: process.env.SERVER_URL || 'https://chainsx.info', // public URL of the Mini App pages
+  apiBaseUrl: process.env.API_BASE_URL || null, // defaults to serverUrl
+  apiKeys: process.env.API_KEYS ? process.env.API_KEYS.split(',').map(key => key.trim()).filter(Boolean) : [],
+  webAppAuthMaxAge: parseInt(process.env.WEBAPP_AUTH_MAX_AGE) || 86400, // seconds since Telegram signed initData
+  apiRateLimitWindow: parseInt(process.env.API_RATE_LIMIT_WINDOW) || 60000,
+  apiRateLimitPerIp: parseInt(process.env.API_RATE_LIMIT_PER_IP) || 120,
+  apiRateLimitPerUser: parseInt(process.env.API_RATE_LIMIT_PER_USER) || 60,
+  apiTrustProxy: process.env.API_TRUST_PROXY || false, // e.g. 'loopback' behind nginx
+  walletProofTtl: parseInt(process.env.WALLET_PROOF_TTL) || 300000, // SIWE nonce lifetime
+
+  // Sign-In with Ethereum (EIP-4361) wallet linking
+  siweDomain: process.env.SIWE_DOMAIN || null, // defaults to the serverUrl host
+  siweUri: process.env.SIWE_URI || null, // defaults to serverUrl
+
+  // Telegram updates per bot: 'polling' or 'webhook' (served by SimpleServer)
+  botUpdateMode: process.env.BOT_UPDATE_MODE || 'polling',
+  adminBotUpdateMode: process.env.ADMIN_BOT_UPDATE_MODE || 'polling',
+  webhookBaseUrl: process.env.WEBHOOK_BASE_URL || null, // defaults to serverUrl
+  webhookSecret: process.env.WEBHOOK_SECRET || '',
+
+  // Transaction Tracking
+  txPollInterval: parseInt(process.env.TX_POLL_INTERVAL) || 5000,
+  txDropTimeout: parseInt(process.env.TX_DROP_TIMEOUT) || 1800000, // 30 minutes unseen
 };
 
+if (!config.rpcUrls || config.rpcUrls.length === 0) {
+  config.rpcUrls = [config.rpcUrl];
+}
+
+if (!config.apiBaseUrl) {
+  config.apiBaseUrl = config.serverUrl;
+}
+
+if (!config.webhookBaseUrl) {
+  config.webhookBaseUrl = config.serverUrl;
+}
+
+// 0 (midnight UTC) is a valid hour, so only a missing value falls back
+if (Number.isNaN(config.notificationDigestHour)) {
+  config.notificationDigestHour = 12;
+}
+
+if (!config.siweDomain) {
+  config.siweDomain = new URL(config.serverUrl).host;
+}
+
+if (!config.siweUri) {
+  config.siweUri = config.serverUrl;
+}
+
 // Validation
 if (config.enableUserBot && !config.telegramBotToken) {
   throw new Error('TELEGRAM_BOT_TOKEN is required for user bot');
@@ -52,7 +164,7 @@ if (!config.contractAddress) {
   throw new Error('CONTRACT_ADDRESS is required');
 }
 
-if (config.enableAdminBot && config.adminTelegramUserIds.length === 0) {
+if (config.enableAdminBot && config.adminTelegramUserIds.length === 0 && !fs.existsSync(config.adminRolesFile)) {
   console.warn('Warning: No admin user IDs configured for admin bot');
 }
 
@@ -61,7 +173,32 @@ if (config.enableUserBot) {
   console.log('🔒 Security Mode: WalletConnect (Private keys never stored in bot)');
 }
 
-if (config.adminPrivateKey && config.adminPrivateKey !== 'test_private_key') {
+if (!['key', 'walletconnect', 'safe'].includes(config.adminSigningMode)) {
+  throw new Error('ADMIN_SIGNING_MODE must be key, walletconnect or safe');
+}
+
+if (config.notificationDigestHour < 0 || config.notificationDigestHour > 23) {
+  throw new Error('NOTIFICATION_DIGEST_HOUR must be between 0 and 23');
+}
+
+if (!['auto', 'legacy', 'eip1559'].includes(config.gasMode)) {
+  throw new Error('GAS_MODE must be auto, legacy or eip1559');
+}
+
+for (const [name, mode] of [['BOT_UPDATE_MODE', config.botUpdateMode], ['ADMIN_BOT_UPDATE_MODE', config.adminBotUpdateMode]]) {
+  if (!['polling', 'webhook'].includes(mode)) {
+    throw new Error(`${name} must be polling or webhook`);
+  }
+}
+
+// Telegram only accepts 1-256 characters of A-Z, a-z, 0-9, _ and -
+if ((config.botUpdateMode === 'webhook' || config.adminBotUpdateMode === 'webhook') && !/^[A-Za-z0-9_-]{1,256}$/.test(config.webhookSecret)) {
+  throw new Error('WEBHOOK_SECRET (1-256 characters of A-Z, a-z, 0-9, _ and -) is required for webhook mode');
+}
+
+if (config.adminSigningMode !== 'key') {
+  console.log(`🔧 Admin functions enabled in ${config.adminSigningMode} signing mode (no private key on server)`);
+} else if (config.adminPrivateKey && config.adminPrivateKey !== 'test_private_key') {
   console.log('🔧 Admin functions enabled with private key');
   console.warn('⚠️ Keep admin private key secure!');
 }
@@ -0,0 +1,57 @@
+// Read-through cache for contract queries. Entries expire after their TTL
+// (Infinity for values that never change) or when invalidated by prefix,
+// and concurrent misses for the same key share one request.
+class ContractCache {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.inflight = new Map(); // key -> Promise
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async get(key, ttl, loader) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      return entry.value;
+    }
+
+    if (this.inflight.has(key)) {
+      return await this.inflight.get(key);
+    }
+
+    this.misses++;
+    const request = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value, ttl);
+        return value;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, request);
+    return await request;
+  }
+
+  set(key, value, ttl) {
+    if (ttl > 0) {
+      this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    }
+  }
+
+  invalidate(prefix = '') {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  getStats() {
+    return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = ContractCache;
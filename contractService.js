@@ -1,11 +1,23 @@
 const { ethers } = require('ethers');
 const config = require('./config');
 const { contractABI, usdtABI } = require('./contractABI');
+const GasStrategy = require('./gasStrategy');
+const RpcPool = require('./rpcPool');
+const ContractCache = require('./contractCache');
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Events after which cached plan data is stale. setPlanStatus emits no
+// event, so other processes see status changes only when the cache expires;
+// transaction paths read plans with { fresh: true } for that reason.
+const PLAN_EVENTS = ['PlanCreated', 'PlanPriceUpdated', 'PlanDefaultImageSet'];
 
 class ContractService {
   constructor() {
-    // Create provider for reading data
-    this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    // Create provider for reading data (fails over between RPC_URLS)
+    this.provider = new RpcPool(config.rpcUrls);
 
     // Create contract instance for reading data
     this.contract = new ethers.Contract(config.contractAddress, contractABI, this.provider);
@@ -15,8 +27,16 @@ class ContractService {
     this.contractInterface = new ethers.Interface(contractABI);
     this.usdtInterface = new ethers.Interface(usdtABI);
 
+    // Read-through cache for contract queries and Multicall3 for batching them
+    this.cache = new ContractCache();
+    this.planEventsBound = false;
+    this.multicallContract = new ethers.Contract(config.multicallAddress, MULTICALL3_ABI, this.provider);
+
+    // Gas limit and fee fields are filled in right before sending
+    this.gasStrategy = new GasStrategy(this.provider, { decodeError: (error) => this.decodeContractError(error) });
+
     // Create wallet and contract instance for writing data (admin functions only)
-    if (config.adminPrivateKey && config.adminPrivateKey !== 'test_private_key') {
+    if (config.adminSigningMode === 'key' && config.adminPrivateKey && config.adminPrivateKey !== 'test_private_key') {
       try {
         this.adminWallet = new ethers.Wallet(config.adminPrivateKey, this.provider);
         this.adminContract = new ethers.Contract(config.contractAddress, contractABI, this.adminWallet);
@@ -26,25 +46,186 @@ class ContractService {
     }
   }
 
+  // === CACHE ===
+
+  // Plan data changes only through admin calls, so it is dropped as soon as
+  // the indexer sees one of PLAN_EVENTS
+  bindEventIndexer(eventIndexer) {
+    this.planEventsBound = true;
+    eventIndexer.on('event', (event) => {
+      if (PLAN_EVENTS.includes(event.name)) {
+        this.invalidatePlans();
+      }
+    });
+  }
+
+  invalidatePlans() {
+    this.cache.invalidate('plan:');
+  }
+
+  // Without an indexer nothing invalidates plan data, so it expires quickly
+  getPlanCacheTtl() {
+    return this.planEventsBound ? config.cacheTtlPlans : config.cacheTtlPlansUnindexed;
+  }
+
+  // USDT decimals never change
+  async getUSDTDecimals() {
+    return await this.cache.get('usdt:decimals', Infinity, () => this.usdtContract.decimals());
+  }
+
+  // === MULTICALL ===
+
+  // calls: [{ contract, method, args }]. Resolves to [{ success, value }] in
+  // one eth_call, or one request per call where Multicall3 is not deployed.
+  async multicall(calls) {
+    const requests = calls.map(({ contract, method, args = [] }) => ({
+      target: contract.target,
+      allowFailure: true,
+      callData: contract.interface.encodeFunctionData(method, args)
+    }));
+
+    let results;
+    try {
+      results = await this.multicallContract.aggregate3.staticCall(requests);
+    } catch (error) {
+      console.warn('⚠️ Multicall failed, falling back to single calls:', error.shortMessage || error.message);
+      return await Promise.all(calls.map(async ({ contract, method, args = [] }) => {
+        try {
+          return { success: true, value: await contract[method](...args) };
+        } catch (callError) {
+          return { success: false, value: null };
+        }
+      }));
+    }
+
+    return results.map(([success, returnData], index) => {
+      if (!success) return { success: false, value: null };
+      const { contract, method } = calls[index];
+      const decoded = contract.interface.decodeFunctionResult(method, returnData);
+      return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+    });
+  }
+
   // Functions for reading data
-  async getPlanInfo(planId) {
+  formatPlanInfo(planInfo) {
+    return {
+      price: planInfo[0].toString(),
+      name: planInfo[1],
+      membersPerCycle: planInfo[2].toString(),
+      isActive: planInfo[3],
+      imageURI: planInfo[4]
+    };
+  }
+
+  formatPlanCycleInfo(cycleInfo) {
+    return {
+      currentCycle: cycleInfo[0].toString(),
+      membersInCurrentCycle: cycleInfo[1].toString(),
+      membersPerCycle: cycleInfo[2].toString()
+    };
+  }
+
+  // fresh: true skips the cache, for amounts that end up in a transaction
+  async getPlanInfo(planId, { fresh = false } = {}) {
     try {
-      const planInfo = await this.contract.getPlanInfo(planId);
-      return {
-        price: planInfo[0].toString(),
-        name: planInfo[1],
-        membersPerCycle: planInfo[2].toString(),
-        isActive: planInfo[3],
-        imageURI: planInfo[4]
-      };
+      if (fresh) {
+        const planInfo = this.formatPlanInfo(await this.contract.getPlanInfo(planId));
+        this.cache.set(`plan:${planId}:info`, planInfo, this.getPlanCacheTtl());
+        return planInfo;
+      }
+
+      return await this.cache.get(`plan:${planId}:info`, this.getPlanCacheTtl(), async () => {
+        return this.formatPlanInfo(await this.contract.getPlanInfo(planId));
+      });
     } catch (error) {
       throw new Error(`Error getting plan info: ${error.message}`);
     }
   }
 
+  async getPlanCycleInfo(planId) {
+    try {
+      return await this.cache.get(`plan:${planId}:cycle`, config.cacheTtlCycles, async () => {
+        return this.formatPlanCycleInfo(await this.contract.getPlanCycleInfo(planId));
+      });
+    } catch (error) {
+      throw new Error(`Error getting plan cycle info: ${error.message}`);
+    }
+  }
+
+  // Every plan with its cycle info in a single multicall. Results also
+  // fill the per-plan cache used by getPlanInfo and getPlanCycleInfo.
+  async getAllPlans() {
+    const totalPlans = parseInt(await this.getTotalPlanCount());
+
+    return await this.cache.get('plan:all', config.cacheTtlCycles, async () => {
+      const planIds = Array.from({ length: totalPlans }, (_, index) => index + 1);
+      const results = await this.multicall([
+        ...planIds.map(planId => ({ contract: this.contract, method: 'getPlanInfo', args: [planId] })),
+        ...planIds.map(planId => ({ contract: this.contract, method: 'getPlanCycleInfo', args: [planId] }))
+      ]);
+
+      return planIds.map((planId, index) => {
+        const info = results[index];
+        const cycle = results[totalPlans + index];
+        if (!info.success) {
+          return { planId, error: 'Unable to load plan data' };
+        }
+
+        const planInfo = this.formatPlanInfo(info.value);
+        this.cache.set(`plan:${planId}:info`, planInfo, this.getPlanCacheTtl());
+
+        let cycleInfo = null;
+        if (cycle.success) {
+          cycleInfo = this.formatPlanCycleInfo(cycle.value);
+          this.cache.set(`plan:${planId}:cycle`, cycleInfo, config.cacheTtlCycles);
+        }
+
+        return { planId, ...planInfo, cycle: cycleInfo };
+      });
+    });
+  }
+
+  // Cycle progress plus an ETA from the recent rate of members entering the
+  // plan (registrations and upgrades seen by the event indexer)
+  async getPlanCycleReport(planId, eventIndexer = null) {
+    const cycleInfo = await this.getPlanCycleInfo(planId);
+    const filled = parseInt(cycleInfo.membersInCurrentCycle);
+    const capacity = parseInt(cycleInfo.membersPerCycle);
+    const percent = capacity > 0 ? Math.min(100, Math.round((filled / capacity) * 100)) : 0;
+
+    let entriesPerHour = null;
+    let estimatedCompletionAt = null;
+
+    if (eventIndexer) {
+      const windowSeconds = config.cycleRateWindowHours * 3600;
+      const since = Math.floor(Date.now() / 1000) - windowSeconds;
+      const entries = eventIndexer.getEvents({
+        name: ['MemberRegistered', 'PlanUpgraded'],
+        predicate: (event) => event.timestamp >= since &&
+          parseInt(event.name === 'MemberRegistered' ? event.args.planId : event.args.newPlanId) === planId
+      });
+
+      entriesPerHour = entries.length / config.cycleRateWindowHours;
+      if (entriesPerHour > 0 && capacity > filled) {
+        estimatedCompletionAt = Date.now() + ((capacity - filled) / entriesPerHour) * 3600 * 1000;
+      }
+    }
+
+    return {
+      planId,
+      currentCycle: parseInt(cycleInfo.currentCycle),
+      filled,
+      capacity,
+      percent,
+      progressBar: this.formatProgressBar(percent),
+      entriesPerHour,
+      estimatedCompletionAt
+    };
+  }
+
   async getTotalPlanCount() {
     try {
-      const count = await this.contract.getTotalPlanCount();
+      const count = await this.cache.get('plan:count', this.getPlanCacheTtl(), () => this.contract.getTotalPlanCount());
       return count.toString();
     } catch (error) {
       throw new Error(`Error getting total plan count: ${error.message}`);
@@ -70,6 +251,57 @@ class ContractService {
     }
   }
 
+  async getReferralChain(address) {
+    try {
+      const chain = await this.contract.getReferralChain(address);
+      return chain.filter(upline => upline !== ethers.ZeroAddress);
+    } catch (error) {
+      throw new Error(`Error getting referral chain: ${error.message}`);
+    }
+  }
+
+  // === NFT FUNCTIONS ===
+
+  async getTokenIdOfOwner(address, index = 0) {
+    try {
+      const tokenId = await this.contract.tokenOfOwnerByIndex(address, index);
+      return tokenId.toString();
+    } catch (error) {
+      throw new Error(`Error getting token ID: ${error.message}`);
+    }
+  }
+
+  async getTokenURI(tokenId) {
+    try {
+      return await this.contract.tokenURI(tokenId);
+    } catch (error) {
+      throw new Error(`Error getting token URI: ${error.message}`);
+    }
+  }
+
+  async getNFTImage(tokenId) {
+    try {
+      const image = await this.contract.getNFTImage(tokenId);
+      return {
+        imageURI: image[0],
+        name: image[1],
+        description: image[2],
+        planId: image[3].toString(),
+        createdAt: image[4].toString()
+      };
+    } catch (error) {
+      throw new Error(`Error getting NFT image: ${error.message}`);
+    }
+  }
+
+  async getPlanDefaultImage(planId) {
+    try {
+      return await this.contract.planDefaultImages(planId);
+    } catch (error) {
+      throw new Error(`Error getting plan default image: ${error.message}`);
+    }
+  }
+
   async getContractOwner() {
     try {
       return await this.contract.owner();
@@ -90,7 +322,7 @@ class ContractService {
   async getUSDTBalance(address) {
     try {
       const balance = await this.usdtContract.balanceOf(address);
-      const decimals = await this.usdtContract.decimals();
+      const decimals = await this.getUSDTDecimals();
       return {
         balance: balance.toString(),
         decimals: decimals,
@@ -104,7 +336,7 @@ class ContractService {
   async getUSDTAllowance(userAddress) {
     try {
       const allowance = await this.usdtContract.allowance(userAddress, config.contractAddress);
-      const decimals = await this.usdtContract.decimals();
+      const decimals = await this.getUSDTDecimals();
       return {
         allowance: allowance.toString(),
         decimals: decimals,
@@ -116,7 +348,8 @@ class ContractService {
   }
 
   // New function for validating registration conditions
-  async validateRegistration(userAddress, planId, uplineAddress) {
+  // requireAllowance: false skips the allowance check for approve-then-register pipelines
+  async validateRegistration(userAddress, planId, uplineAddress, { requireAllowance = true } = {}) {
     try {
       // Check if already a member
       const balance = await this.contract.balanceOf(userAddress);
@@ -125,7 +358,7 @@ class ContractService {
       }
 
       // Check membership plan
-      const planInfo = await this.getPlanInfo(planId);
+      const planInfo = await this.getPlanInfo(planId, { fresh: true });
       if (!planInfo.isActive) {
         throw new Error("This membership plan is not active");
       }
@@ -152,7 +385,7 @@ class ContractService {
 
       // Check allowance
       const allowance = await this.usdtContract.allowance(userAddress, config.contractAddress);
-      if (allowance < planInfo.price) {
+      if (requireAllowance && allowance < planInfo.price) {
         throw new Error("USDT not approved to contract or insufficient allowance");
       }
 
@@ -162,7 +395,7 @@ class ContractService {
     }
   }
 
-  async validateUpgrade(userAddress, newPlanId) {
+  async validateUpgrade(userAddress, newPlanId, { requireAllowance = true } = {}) {
     try {
       // 1. Check if user is a member
       const memberInfo = await this.getMemberInfo(userAddress);
@@ -178,7 +411,7 @@ class ContractService {
       }
 
       // 3. Check if new plan exists and is active
-      const newPlanInfo = await this.getPlanInfo(newPlanId);
+      const newPlanInfo = await this.getPlanInfo(newPlanId, { fresh: true });
       if (!newPlanInfo.isActive) {
         throw new Error(`Plan ${newPlanId} is not active`);
       }
@@ -190,7 +423,7 @@ class ContractService {
       }
 
       // 5. Calculate upgrade cost
-      const currentPlanInfo = await this.getPlanInfo(currentPlan);
+      const currentPlanInfo = await this.getPlanInfo(currentPlan, { fresh: true });
       const upgradeCost = BigInt(newPlanInfo.price) - BigInt(currentPlanInfo.price);
 
       if (upgradeCost <= 0) {
@@ -201,16 +434,16 @@ class ContractService {
       const usdtBalance = await this.usdtContract.balanceOf(userAddress);
       if (usdtBalance < upgradeCost) {
         const { ethers } = require('ethers');
-        const usdtDecimals = await this.usdtContract.decimals();
+        const usdtDecimals = await this.getUSDTDecimals();
         const requiredFormatted = ethers.formatUnits(upgradeCost, usdtDecimals);
         throw new Error(`Insufficient USDT balance. Required: ${requiredFormatted} USDT for upgrade`);
       }
 
       // 7. Check allowance
       const allowance = await this.usdtContract.allowance(userAddress, config.contractAddress);
-      if (allowance < upgradeCost) {
+      if (requireAllowance && allowance < upgradeCost) {
         const { ethers } = require('ethers');
-        const usdtDecimals = await this.usdtContract.decimals();
+        const usdtDecimals = await this.getUSDTDecimals();
         const requiredFormatted = ethers.formatUnits(upgradeCost, usdtDecimals);
         throw new Error(`Insufficient USDT allowance. Required: ${requiredFormatted} USDT`);
       }
@@ -226,6 +459,43 @@ class ContractService {
     }
   }
 
+  async validateExit(userAddress) {
+    const memberInfo = await this.getMemberInfo(userAddress);
+    if (!memberInfo.isMember) {
+      throw new Error("You are not a member yet");
+    }
+
+    const planId = parseInt(memberInfo.planId);
+    const planInfo = await this.getPlanInfo(planId);
+    const registeredAt = parseInt(memberInfo.registeredAt);
+    const unlockAt = registeredAt + config.exitLockDays * 24 * 60 * 60;
+    const now = Math.floor(Date.now() / 1000);
+    const remainingSeconds = Math.max(0, unlockAt - now);
+
+    const refundAmount = (BigInt(planInfo.price) * BigInt(config.exitRefundPercent)) / BigInt(100);
+    const stats = await this.contract.getSystemStats();
+    const fundBalance = stats[5];
+
+    let reason = null;
+    if (remainingSeconds > 0) {
+      reason = this.translateContractError('ThirtyDayLock');
+    } else if (fundBalance < refundAmount) {
+      reason = this.translateContractError('LowFundBalance');
+    }
+
+    return {
+      canExit: reason === null,
+      reason,
+      planId,
+      planInfo,
+      registeredAt,
+      unlockAt,
+      remainingSeconds,
+      refundAmount,
+      fundBalance
+    };
+  }
+
   // === NEW WALLETCONNECT TRANSACTION BUILDERS ===
 
   // à¸ªà¸£à¹‰à¸²à¸‡ transaction data à¸ªà¸³à¸«à¸£à¸±à¸šà¸à¸²à¸£à¸¥à¸‡à¸—à¸°à¹€à¸šà¸µà¸¢à¸™
@@ -236,9 +506,7 @@ class ContractService {
       return {
         to: config.contractAddress,
         data: data,
-        value: '0x0',
-        gasLimit: ethers.toBeHex(config.gasLimit),
-        gasPrice: ethers.toBeHex(config.gasPrice)
+        value: '0x0'
       };
     } catch (error) {
       throw new Error(`Error building register transaction: ${error.message}`);
@@ -253,9 +521,7 @@ class ContractService {
       return {
         to: config.contractAddress,
         data: data,
-        value: '0x0',
-        gasLimit: ethers.toBeHex(config.gasLimit),
-        gasPrice: ethers.toBeHex(config.gasPrice)
+        value: '0x0'
       };
     } catch (error) {
       throw new Error(`Error building upgrade transaction: ${error.message}`);
@@ -270,15 +536,32 @@ class ContractService {
       return {
         to: config.usdtContractAddress,
         data: data,
-        value: '0x0',
-        gasLimit: ethers.toBeHex(200000), // approve à¹ƒà¸Šà¹‰ gas à¸™à¹‰à¸­à¸¢à¸à¸§à¹ˆà¸²
-        gasPrice: ethers.toBeHex(config.gasPrice)
+        value: '0x0'
       };
     } catch (error) {
       throw new Error(`Error building approve transaction: ${error.message}`);
     }
   }
 
+  buildExitTransaction() {
+    try {
+      const data = this.contractInterface.encodeFunctionData('exitMembership', []);
+
+      return {
+        to: config.contractAddress,
+        data: data,
+        value: '0x0'
+      };
+    } catch (error) {
+      throw new Error(`Error building exit transaction: ${error.message}`);
+    }
+  }
+
+  // Adds estimated gas limit, fee fields and gasCost for the wallet prompt
+  async prepareTransaction(transactionData, from) {
+    return await this.gasStrategy.prepare(transactionData, from);
+  }
+
   // à¸•à¸£à¸§à¸ˆà¸ªà¸­à¸šà¸ªà¸–à¸²à¸™à¸° transaction
   async checkTransactionStatus(txHash) {
     try {
@@ -309,11 +592,15 @@ class ContractService {
           gasUsed: receipt.gasUsed.toString()
         };
       } else {
+        const revert = await this.getRevertReason(tx, receipt);
         return {
           status: 'failed',
-          message: 'Transaction failed',
+          message: revert.message,
+          errorName: revert.name,
           receipt,
-          explorerUrl: this.getExplorerUrl(txHash)
+          explorerUrl: this.getExplorerUrl(txHash),
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString()
         };
       }
     } catch (error) {
@@ -334,7 +621,10 @@ class ContractService {
       if (status.status === 'success') {
         return status;
       } else if (status.status === 'failed') {
-        throw new Error(`Transaction failed: ${status.message}`);
+        const error = new Error(`Transaction failed: ${status.message}`);
+        error.txStatus = status;
+        error.txHash = txHash;
+        throw error;
       } else if (status.status === 'error') {
         throw new Error(`Transaction error: ${status.message}`);
       }
@@ -346,176 +636,89 @@ class ContractService {
     throw new Error('Transaction confirmation timeout');
   }
 
-  // === ADMIN FUNCTIONS (à¹ƒà¸Šà¹‰ private key à¹€à¸«à¸¡à¸·à¸­à¸™à¹€à¸”à¸´à¸¡) ===
-
-  async updatePlanPrice(planId, newPrice) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.updatePlanPrice(planId, newPrice, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error updating plan price: ${error.message}`);
-    }
-  }
-
-  async setPaused(paused) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.setPaused(paused, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error setting pause status: ${error.message}`);
-    }
-  }
-
-  async setPlanDefaultImage(planId, imageURI) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.setPlanDefaultImage(planId, imageURI, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error setting plan default image: ${error.message}`);
-    }
-  }
-
-  async setPlanStatus(planId, isActive) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.setPlanStatus(planId, isActive, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error setting plan status: ${error.message}`);
-    }
-  }
-
-  async withdrawOwnerBalance(amount) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.withdrawOwnerBalance(amount, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error withdrawing owner balance: ${error.message}`);
-    }
-  }
-
-  async withdrawFeeBalance(amount) {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.withdrawFeeSystemBalance(amount, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error withdrawing fee balance: ${error.message}`);
-    }
-  }
+  // === ADMIN FUNCTIONS ===
 
-  async withdrawFundBalance(amount) {
+  // The only path for admin writes signed with the server key; calls signed
+  // elsewhere use buildAdminTransaction. onSent(txHash) runs once the
+  // transaction is broadcast, before waiting.
+  async sendAdminTransaction(method, args = [], { onSent } = {}) {
     if (!this.adminContract) {
       throw new Error('Admin private key not configured');
     }
 
+    let tx;
     try {
-      const tx = await this.adminContract.withdrawFundBalance(amount, {
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
+      const { gasCost, ...prepared } = await this.prepareTransaction(
+        this.buildAdminTransaction(method, args),
+        this.adminWallet.address
+      );
+      tx = await this.adminWallet.sendTransaction(prepared);
     } catch (error) {
-      throw new Error(`Error withdrawing fund balance: ${error.message}`);
+      throw new Error(`Error sending ${method}: ${this.decodeContractError(error).message}`);
     }
-  }
 
-  async requestEmergencyWithdraw() {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
+    if (onSent) {
+      await onSent(tx.hash);
     }
 
     try {
-      const tx = await this.adminContract.requestEmergencyWithdraw({
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
+      return await tx.wait(1, config.transactionTimeout);
     } catch (error) {
-      throw new Error(`Error requesting emergency withdraw: ${error.message}`);
+      if (!error.receipt) {
+        throw this.createUnconfirmedError(tx.hash, error);
+      }
+      const revert = await this.getRevertReason(tx, error.receipt);
+      const reverted = new Error(`Error sending ${method}: ${revert.message}`);
+      reverted.txHash = tx.hash;
+      throw reverted;
     }
   }
 
-  async emergencyWithdraw() {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
-    try {
-      const tx = await this.adminContract.emergencyWithdraw({
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
-
-      return await tx.wait();
-    } catch (error) {
-      throw new Error(`Error executing emergency withdraw: ${error.message}`);
-    }
+  // A broadcast transaction whose outcome is unknown (e.g. the wait timed
+  // out); it may still be mined, so callers must not treat it as failed
+  createUnconfirmedError(txHash, cause = null) {
+    const error = new Error(`Transaction ${txHash} was sent but not confirmed${cause ? `: ${cause.shortMessage || cause.message}` : ''}`);
+    error.txHash = txHash;
+    error.unconfirmed = true;
+    return error;
   }
 
-  async cancelEmergencyWithdraw() {
-    if (!this.adminContract) {
-      throw new Error('Admin private key not configured');
-    }
-
+  // Calldata for an admin call that is signed outside the bot
+  // (the owner's wallet over WalletConnect, or a Safe multisig)
+  buildAdminTransaction(method, args = []) {
     try {
-      const tx = await this.adminContract.cancelEmergencyWithdraw({
-        gasLimit: config.gasLimit,
-        gasPrice: config.gasPrice
-      });
+      const data = this.contractInterface.encodeFunctionData(method, args);
 
-      return await tx.wait();
+      return {
+        to: config.contractAddress,
+        data: data,
+        value: '0x0'
+      };
     } catch (error) {
-      throw new Error(`Error canceling emergency withdraw: ${error.message}`);
-    }
+      throw new Error(`Error building ${method} transaction: ${error.message}`);
+    }
+  }
+
+  // Batch file for the Safe{Wallet} Transaction Builder app
+  buildSafeTransactionBatch(transactions, { name, description, safeAddress = config.safeAddress } = {}) {
+    return {
+      version: '1.0',
+      chainId: config.chainId.toString(),
+      createdAt: Date.now(),
+      meta: {
+        name,
+        description,
+        txBuilderVersion: '1.16.5',
+        createdFromSafeAddress: safeAddress || ''
+      },
+      transactions: transactions.map(tx => ({
+        to: tx.to,
+        value: BigInt(tx.value || 0).toString(),
+        data: tx.data,
+        contractMethod: null,
+        contractInputsValues: null
+      }))
+    };
   }
 
   // === UTILITY FUNCTIONS ===
@@ -523,7 +726,7 @@ class ContractService {
   async formatPrice(price, decimals = null) {
     if (decimals === null) {
       try {
-        const usdtDecimals = await this.usdtContract.decimals();
+        const usdtDecimals = await this.getUSDTDecimals();
         return ethers.formatUnits(price, usdtDecimals);
       } catch (error) {
         console.warn('Using default 18 decimals for price formatting');
@@ -536,7 +739,7 @@ class ContractService {
   async parsePrice(price, decimals = null) {
     if (decimals === null) {
       try {
-        const usdtDecimals = await this.usdtContract.decimals();
+        const usdtDecimals = await this.getUSDTDecimals();
         return ethers.parseUnits(price, usdtDecimals);
       } catch (error) {
         console.warn('Using default 18 decimals for price parsing');
@@ -546,6 +749,11 @@ class ContractService {
     return ethers.parseUnits(price, decimals);
   }
 
+  formatProgressBar(percent, width = 10) {
+    const filled = Math.round((percent / 100) * width);
+    return '▓'.repeat(filled) + '░'.repeat(width - filled);
+  }
+
   isValidAddress(address) {
     return ethers.isAddress(address);
   }
@@ -579,29 +787,138 @@ class ContractService {
       'ZeroBalance': 'Zero balance',
       'NonTransferable': 'NFT is not transferable',
       'ReentrantTransfer': 'Reentrant transfer',
-      'EmptyURI': 'Empty URI'
+      'EmptyURI': 'Empty URI',
+      'NotPaused': 'System is not paused',
+      'NoPlanImage': 'Plan has no default image',
+      'OwnableUnauthorizedAccount': 'Caller is not the contract owner',
+      'SafeERC20FailedOperation': 'USDT transfer failed',
+      'ERC20InsufficientAllowance': 'Insufficient USDT allowance',
+      'ERC20InsufficientBalance': 'Insufficient USDT balance'
     };
 
     return errorMap[reason] || reason;
   }
 
-  // === GAS ESTIMATION ===
-  
-  async estimateGas(transactionData) {
+  // === SIMULATION ===
+
+  extractRevertData(error) {
+    const candidates = [error?.data, error?.info?.error?.data, error?.error?.data, error?.info?.error?.data?.data];
+    return candidates.find(data => typeof data === 'string' && data.startsWith('0x') && data.length >= 10) || null;
+  }
+
+  // Turns a revert into { name, args, message } using the custom errors in
+  // contractABI (falling back to the USDT ABI and plain revert strings)
+  decodeContractError(error) {
+    const data = this.extractRevertData(error);
+
+    if (data) {
+      for (const iface of [this.contractInterface, this.usdtInterface]) {
+        try {
+          const parsed = iface.parseError(data);
+          if (parsed) {
+            return {
+              name: parsed.name,
+              args: parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+              message: this.translateContractError(parsed.name)
+            };
+          }
+        } catch (parseError) {
+          // Not an error declared in this ABI
+        }
+      }
+    }
+
+    if (error?.revert) {
+      return { name: error.revert.name, args: [], message: this.translateContractError(error.revert.name) };
+    }
+
+    if (error?.reason) {
+      return { name: null, args: [], message: this.translateContractError(error.reason) };
+    }
+
+    return { name: null, args: [], message: error?.shortMessage || error?.message || 'Unknown error' };
+  }
+
+  // Receipts carry no revert data, so replay the failed transaction with
+  // eth_call on the state it ran against (the parent of its block) to
+  // recover the custom error
+  async getRevertReason(tx, receipt) {
     try {
-      const gasEstimate = await this.provider.estimateGas({
-        to: transactionData.to,
-        data: transactionData.data,
-        value: transactionData.value || '0x0'
+      await this.provider.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        blockTag: receipt.blockNumber - 1
       });
+    } catch (error) {
+      return this.decodeContractError(error);
+    }
+
+    // The replay succeeded, so the revert was not caused by contract state
+    if (receipt.gasUsed >= tx.gasLimit) {
+      return { name: null, args: [], message: 'Transaction ran out of gas' };
+    }
+    return { name: null, args: [], message: 'Transaction reverted without a reason' };
+  }
+
+  // eth_call of the transaction from `from` against the latest block.
+  // Resolves to { success, gasEstimate } or { success: false, error }.
+  async simulateTransaction(transactionData, from) {
+    const request = {
+      from,
+      to: transactionData.to,
+      data: transactionData.data,
+      value: transactionData.value || '0x0'
+    };
+
+    try {
+      await this.provider.call(request);
+    } catch (error) {
+      return { success: false, error: this.decodeContractError(error) };
+    }
+
+    let gasEstimate = null;
+    try {
+      gasEstimate = (await this.provider.estimateGas(request)).toString();
+    } catch (error) {
+      // The call succeeded, so a failed estimate is not a revert
+    }
+
+    return { success: true, gasEstimate };
+  }
+
+  async simulateRegister(from, planId, uplineAddress) {
+    return await this.simulateTransaction(this.buildRegisterTransaction(planId, uplineAddress), from);
+  }
 
-      // à¹€à¸žà¸´à¹ˆà¸¡ buffer 20%
-      const gasWithBuffer = (gasEstimate * BigInt(120)) / BigInt(100);
+  async simulateUpgrade(from, newPlanId) {
+    return await this.simulateTransaction(this.buildUpgradeTransaction(newPlanId), from);
+  }
+
+  async simulateApprove(from, amount) {
+    return await this.simulateTransaction(this.buildApproveTransaction(amount), from);
+  }
+
+  async simulateExit(from) {
+    return await this.simulateTransaction(this.buildExitTransaction(), from);
+  }
+
+  async simulateAdminCall(method, args, from) {
+    return await this.simulateTransaction(this.buildAdminTransaction(method, args), from);
+  }
+
+  // === GAS ESTIMATION ===
+  
+  async estimateGas(transactionData, from) {
+    try {
+      const { gasCost } = await this.prepareTransaction(transactionData, from);
       
       return {
-        estimated: gasEstimate.toString(),
-        withBuffer: gasWithBuffer.toString(),
-        formatted: ethers.formatUnits(gasWithBuffer * BigInt(config.gasPrice), 'ether') + ' BNB'
+        estimated: gasCost.estimatedGas,
+        withBuffer: gasCost.gasLimit,
+        formatted: gasCost.formatted
       };
     } catch (error) {
       throw new Error(`Gas estimation failed: ${error.message}`);
@@ -610,6 +927,21 @@ class ContractService {
 
   // === NETWORK HELPERS ===
 
+  // Owner, fee and fund balances agreed on by RPC_QUORUM endpoints, for
+  // decisions that move funds
+  async getVerifiedSystemBalances() {
+    const stats = await this.provider.quorumRead('system balances', async (provider, blockTag) => {
+      const result = await this.contract.connect(provider).getSystemStats({ blockTag });
+      return [result[3], result[4], result[5]];
+    });
+
+    return { owner: stats[0], fee: stats[1], fund: stats[2] };
+  }
+
+  async getProviderHealth(refresh = false) {
+    return refresh ? await this.provider.checkHealth() : this.provider.getHealth();
+  }
+
   async getNetworkInfo() {
     try {
       const network = await this.provider.getNetwork();
@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+const config = require('./config');
+const EventStore = require('./eventStore');
+
+// Indexes membership contract events into the local EventStore. Only blocks
+// that are at least `indexerConfirmations` deep are processed, so indexed
+// events never need to be rolled back after a reorg.
+class EventIndexer extends EventEmitter {
+  constructor(contractService, eventStore = new EventStore()) {
+    super();
+    this.contractService = contractService;
+    this.store = eventStore;
+    this.chunkSize = config.indexerChunkSize;
+    this.running = false;
+    this.syncing = false;
+    this.caughtUp = false;
+    this.timer = null;
+    this.headBlock = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.store.load();
+    console.log(`📚 Event indexer starting (${this.store.count()} events stored)`);
+
+    await this.sync();
+    this.timer = setInterval(() => this.sync(), config.indexerPollInterval);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      const provider = this.contractService.provider;
+      this.headBlock = await provider.getBlockNumber();
+      const safeBlock = this.headBlock - config.indexerConfirmations;
+
+      let lastIndexed = this.store.getLastIndexedBlock();
+      if (lastIndexed === null) {
+        if (config.indexerStartBlock === null) {
+          console.warn('⚠️ INDEXER_START_BLOCK not set, indexing from the current block only');
+          lastIndexed = safeBlock;
+        } else {
+          lastIndexed = config.indexerStartBlock - 1;
+        }
+        await this.store.setLastIndexedBlock(lastIndexed);
+      }
+
+      while (this.running && lastIndexed < safeBlock) {
+        const fromBlock = lastIndexed + 1;
+        const toBlock = Math.min(fromBlock + this.chunkSize - 1, safeBlock);
+
+        try {
+          await this.indexRange(fromBlock, toBlock);
+        } catch (error) {
+          // Most public RPCs cap the eth_getLogs range, so shrink and retry
+          if (toBlock > fromBlock) {
+            this.chunkSize = Math.max(1, Math.floor((toBlock - fromBlock + 1) / 2));
+            console.warn(`⚠️ getLogs failed for ${fromBlock}-${toBlock}, retrying with chunk size ${this.chunkSize}:`, error.message);
+            continue;
+          }
+          throw error;
+        }
+
+        lastIndexed = toBlock;
+        await this.store.setLastIndexedBlock(lastIndexed);
+      }
+
+      if (!this.caughtUp && lastIndexed >= safeBlock) {
+        this.caughtUp = true;
+        console.log(`✅ Event indexer caught up at block ${lastIndexed}`);
+        this.emit('caughtUp', lastIndexed);
+      }
+    } catch (error) {
+      console.error('Event indexer sync error:', error.message);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.contractService.provider.getLogs({
+      address: config.contractAddress,
+      fromBlock,
+      toBlock
+    });
+
+    const blockTimes = new Map();
+    const records = [];
+
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.contractService.contractInterface.parseLog(log);
+      } catch (error) {
+        parsed = null;
+      }
+      if (!parsed) continue;
+
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await this.contractService.provider.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, block ? block.timestamp : null);
+      }
+
+      const args = {};
+      parsed.fragment.inputs.forEach((input, index) => {
+        args[input.name] = this.serializeValue(parsed.args[index]);
+      });
+
+      records.push({
+        name: parsed.name,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: blockTimes.get(log.blockNumber)
+      });
+    }
+
+    const fresh = await this.store.append(records);
+    for (const event of fresh) {
+      this.emit('event', event, { backfill: !this.caughtUp });
+    }
+
+    if (fresh.length > 0) {
+      console.log(`📚 Indexed ${fresh.length} event(s) from blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  serializeValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(item => this.serializeValue(item));
+    return value;
+  }
+
+  // === QUERIES ===
+
+  getEvents(filter = {}) {
+    return this.store.query(filter);
+  }
+
+  getMemberHistory(address, limit = 20) {
+    return this.store.query({ address, limit, order: 'desc' });
+  }
+
+  // Current plan of every indexed member, replayed from registration,
+  // upgrade and exit events
+  getMemberSnapshot() {
+    const members = new Map();
+
+    for (const event of this.store.query({ name: ['MemberRegistered', 'PlanUpgraded', 'MemberExited'] })) {
+      const key = event.args.member.toLowerCase();
+
+      if (event.name === 'MemberRegistered') {
+        members.set(key, {
+          address: event.args.member,
+          upline: event.args.upline,
+          planId: parseInt(event.args.planId),
+          registeredAt: event.timestamp
+        });
+      } else if (event.name === 'PlanUpgraded' && members.has(key)) {
+        members.get(key).planId = parseInt(event.args.newPlanId);
+      } else if (event.name === 'MemberExited') {
+        members.delete(key);
+      }
+    }
+
+    return members;
+  }
+
+  // Downlines grouped by level (level 1 = direct referrals)
+  getDownlineLevels(address, maxDepth = 10) {
+    const byUpline = new Map();
+    for (const member of this.getMemberSnapshot().values()) {
+      const upline = member.upline.toLowerCase();
+      if (!byUpline.has(upline)) byUpline.set(upline, []);
+      byUpline.get(upline).push(member);
+    }
+
+    const levels = [];
+    const visited = new Set([address.toLowerCase()]);
+    let frontier = [address.toLowerCase()];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const members = [];
+      for (const upline of frontier) {
+        for (const member of byUpline.get(upline) || []) {
+          const key = member.address.toLowerCase();
+          if (visited.has(key)) continue;
+          visited.add(key);
+          members.push(member);
+        }
+      }
+      if (members.length === 0) break;
+
+      levels.push({ level: depth, members });
+      frontier = members.map(member => member.address.toLowerCase());
+    }
+
+    return levels;
+  }
+
+  getStatus() {
+    const lastIndexedBlock = this.store.getLastIndexedBlock();
+    return {
+      running: this.running,
+      caughtUp: this.caughtUp,
+      lastIndexedBlock,
+      headBlock: this.headBlock,
+      lag: this.headBlock !== null && lastIndexedBlock !== null ? this.headBlock - lastIndexedBlock : null,
+      totalEvents: this.store.count()
+    };
+  }
+}
+
+module.exports = EventIndexer;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// Local database of decoded contract events. Events are appended to a JSONL
+// file and kept in memory for lookups; indexer progress lives next to it.
+class EventStore {
+  constructor(dataDir = config.dataDir) {
+    this.eventsPath = path.join(dataDir, 'events.jsonl');
+    this.state = new JsonFileStore(path.join(dataDir, 'indexer-state.json'), { lastIndexedBlock: null });
+    this.events = [];
+    this.keys = new Set();
+    this.loaded = false;
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let raw = '';
+    try {
+      raw = fs.readFileSync(this.eventsPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.addToMemory(JSON.parse(line));
+      } catch (error) {
+        // A torn final line from a crash mid-append is skipped
+        console.warn('⚠️ Skipping unreadable event record');
+      }
+    }
+  }
+
+  eventKey(event) {
+    return `${event.transactionHash}:${event.logIndex}`;
+  }
+
+  addToMemory(event) {
+    const key = this.eventKey(event);
+    if (this.keys.has(key)) return false;
+    this.keys.add(key);
+    this.events.push(event);
+    return true;
+  }
+
+  async append(events) {
+    this.load();
+
+    const fresh = events.filter(event => this.addToMemory(event));
+    if (fresh.length === 0) return [];
+
+    await fs.promises.mkdir(path.dirname(this.eventsPath), { recursive: true });
+    await fs.promises.appendFile(this.eventsPath, fresh.map(event => JSON.stringify(event)).join('\n') + '\n');
+    return fresh;
+  }
+
+  getLastIndexedBlock() {
+    return this.state.load().lastIndexedBlock;
+  }
+
+  async setLastIndexedBlock(blockNumber) {
+    this.state.load().lastIndexedBlock = blockNumber;
+    await this.state.save();
+  }
+
+  // Filters: name (string or array), address (matches any address argument),
+  // fromBlock/toBlock, predicate, limit and order ('asc' | 'desc')
+  query({ name, address, fromBlock, toBlock, predicate, limit, order = 'asc' } = {}) {
+    this.load();
+
+    const names = name ? (Array.isArray(name) ? name : [name]) : null;
+    const needle = address ? address.toLowerCase() : null;
+
+    let results = this.events.filter(event => {
+      if (names && !names.includes(event.name)) return false;
+      if (fromBlock !== undefined && event.blockNumber < fromBlock) return false;
+      if (toBlock !== undefined && event.blockNumber > toBlock) return false;
+      if (needle && !Object.values(event.args).some(value => typeof value === 'string' && value.toLowerCase() === needle)) {
+        return false;
+      }
+      return predicate ? predicate(event) : true;
+    });
+
+    results.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    if (order === 'desc') results.reverse();
+    if (limit) results = results.slice(0, limit);
+
+    return results;
+  }
+
+  count() {
+    this.load();
+    return this.events.length;
+  }
+}
+
+module.exports = EventStore;
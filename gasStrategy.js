@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// Picks gas limit and fee fields for outgoing transactions:
+//   limit - estimateGas plus GAS_LIMIT_BUFFER percent; a call that would revert
+//           is refused, GAS_LIMIT is used only when the RPC itself fails
+//   fees  - EIP-1559 when the network reports maxFeePerGas, legacy gasPrice otherwise
+//           (GAS_MODE forces one or the other), never above MAX_GAS_PRICE_GWEI
+class GasStrategy {
+  constructor(provider, {
+    mode = config.gasMode,
+    bufferPercent = config.gasLimitBufferPercent,
+    maxFeePerGas = config.maxFeePerGas,
+    fallbackGasLimit = config.gasLimit,
+    fallbackGasPrice = config.gasPrice,
+    decodeError = (error) => ({ message: error.shortMessage || error.message })
+  } = {}) {
+    this.provider = provider;
+    this.mode = mode;
+    this.bufferPercent = BigInt(bufferPercent);
+    this.maxFeePerGas = BigInt(maxFeePerGas);
+    this.fallbackGasLimit = BigInt(fallbackGasLimit);
+    this.fallbackGasPrice = BigInt(fallbackGasPrice);
+    this.decodeError = decodeError;
+  }
+
+  async getFeeFields() {
+    let feeData = {};
+    try {
+      feeData = await this.provider.getFeeData();
+    } catch (error) {
+      console.warn('⚠️ Fee data unavailable, using GAS_PRICE:', error.message);
+    }
+
+    const supports1559 = feeData.maxFeePerGas != null && feeData.maxPriorityFeePerGas != null;
+
+    if (this.mode === 'eip1559' || (this.mode === 'auto' && supports1559)) {
+      if (!supports1559) {
+        throw new Error('Network does not report EIP-1559 fees (set GAS_MODE=legacy)');
+      }
+
+      // maxFeePerGas is a ceiling, so it can be capped as long as it still
+      // covers what the network charges right now
+      const currentPrice = feeData.gasPrice || feeData.maxPriorityFeePerGas;
+      if (currentPrice > this.maxFeePerGas) {
+        throw new Error(`Network gas price ${this.formatGwei(currentPrice)} Gwei is above the ${this.formatGwei(this.maxFeePerGas)} Gwei cap`);
+      }
+
+      const maxFeePerGas = feeData.maxFeePerGas > this.maxFeePerGas ? this.maxFeePerGas : feeData.maxFeePerGas;
+      const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : feeData.maxPriorityFeePerGas;
+
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    const gasPrice = feeData.gasPrice || this.fallbackGasPrice;
+    if (gasPrice > this.maxFeePerGas) {
+      throw new Error(`Network gas price ${this.formatGwei(gasPrice)} Gwei is above the ${this.formatGwei(this.maxFeePerGas)} Gwei cap`);
+    }
+
+    return { type: 0, gasPrice };
+  }
+
+  async estimateGasLimit(transactionData, from) {
+    try {
+      const estimate = await this.provider.estimateGas({
+        from,
+        to: transactionData.to,
+        data: transactionData.data,
+        value: transactionData.value || '0x0'
+      });
+      return { estimated: estimate, gasLimit: (estimate * (100n + this.bufferPercent)) / 100n };
+    } catch (error) {
+      if (ethers.isError(error, 'CALL_EXCEPTION')) {
+        throw new Error(`Transaction would revert: ${this.decodeError(error).message}`);
+      }
+      console.warn('⚠️ Gas estimation failed, using GAS_LIMIT:', error.shortMessage || error.message);
+      return { estimated: null, gasLimit: this.fallbackGasLimit };
+    }
+  }
+
+  // Returns the transaction with hex gas fields plus gasCost, the most the
+  // sender can be charged ({ wei, formatted })
+  async prepare(transactionData, from) {
+    const request = {
+      to: transactionData.to,
+      data: transactionData.data,
+      value: transactionData.value || '0x0'
+    };
+
+    const [{ estimated, gasLimit }, fees] = await Promise.all([
+      this.estimateGasLimit(request, from),
+      this.getFeeFields()
+    ]);
+
+    const perGas = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    const cost = gasLimit * perGas;
+
+    const prepared = { ...request, gasLimit: ethers.toQuantity(gasLimit) };
+    if (fees.type === 2) {
+      prepared.maxFeePerGas = ethers.toQuantity(fees.maxFeePerGas);
+      prepared.maxPriorityFeePerGas = ethers.toQuantity(fees.maxPriorityFeePerGas);
+    } else {
+      prepared.gasPrice = ethers.toQuantity(fees.gasPrice);
+    }
+
+    prepared.gasCost = {
+      wei: cost.toString(),
+      formatted: this.formatCost(cost),
+      estimatedGas: estimated ? estimated.toString() : null,
+      gasLimit: gasLimit.toString(),
+      feeType: fees.type === 2 ? 'EIP-1559' : 'legacy'
+    };
+
+    return prepared;
+  }
+
+  formatCost(wei) {
+    return `${parseFloat(ethers.formatEther(wei)).toFixed(6)} BNB`;
+  }
+
+  formatGwei(wei) {
+    return ethers.formatUnits(wei, 'gwei');
+  }
+}
+
+module.exports = GasStrategy;
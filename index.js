@@ -6,11 +6,36 @@ async function startBots() {
   try {
     console.log('🚀 Starting Telegram Membership System...\n');
     
+    // Shared event indexer (one writer for both bots)
+    const services = {};
+    if (config.enableIndexer) {
+      console.log('📚 Starting Event Indexer...');
+      const ContractService = require('./contractService');
+      const EventIndexer = require('./eventIndexer');
+      services.eventIndexer = new EventIndexer(new ContractService());
+      services.eventIndexer.start().catch((error) => {
+        console.error('❌ Event indexer failed to start:', error.message);
+      });
+      console.log('   ✅ Event Indexer initialized');
+    }
+    
+    // Shared wallet sessions (members, and admins signing with their own wallet)
+    if (config.enableUserBot || (config.enableAdminBot && config.adminSigningMode === 'walletconnect')) {
+      const WalletService = require('./walletService');
+      services.walletService = new WalletService();
+    }
+    
+    // One HTTP server for the Mini App API and both bots' webhooks
+    if (config.enableUserBot || (config.enableAdminBot && config.adminBotUpdateMode === 'webhook')) {
+      const SimpleServer = require('./simpleServer');
+      services.apiServer = new SimpleServer(services.walletService || null, config.apiPort);
+    }
+    
     // Start User Bot
     if (config.enableUserBot) {
       console.log('🤖 Starting User Bot...');
       const TelegramMembershipBot = require('./bot');
-      const userBot = new TelegramMembershipBot();
+      const userBot = new TelegramMembershipBot(services);
       userBot.start();
       bots.push({ 
         name: 'User Bot', 
@@ -24,7 +49,7 @@ async function startBots() {
     if (config.enableAdminBot) {
       console.log('🔧 Starting Admin Bot...');
       const TelegramAdminBot = require('./adminBot');
-      const adminBot = new TelegramAdminBot();
+      const adminBot = new TelegramAdminBot(services);
       adminBot.start();
       bots.push({ 
         name: 'Admin Bot', 
@@ -41,6 +66,10 @@ async function startBots() {
       process.exit(1);
     }
     
+    if (services.apiServer) {
+      await services.apiServer.start();
+    }
+    
     console.log(`\n🎉 Successfully started ${bots.length} bot(s):`);
     bots.forEach(bot => {
       const maskedToken = bot.token ? `${bot.token.substring(0, 10)}...` : 'Not configured';
@@ -50,6 +79,7 @@ async function startBots() {
     console.log(`\n🌐 Network: ${config.networkName}`);
     console.log(`📄 Contract: ${config.contractAddress}`);
     console.log(`👥 Admin Users: ${config.adminTelegramUserIds.length}`);
+    console.log(`📡 Updates: User Bot ${config.botUpdateMode}, Admin Bot ${config.adminBotUpdateMode}`);
     console.log('\n🚀 All bots are ready and listening for commands!\n');
     
     // Usage information
@@ -87,7 +117,7 @@ async function startBots() {
 // Handle process termination gracefully
 process.on('SIGINT', () => {
   console.log('\n🛑 Received SIGINT, shutting down bots gracefully...');
-  console.log('💡 All user sessions will be cleared on restart');
+  console.log('💡 Connected wallet sessions are persisted and will be restored on restart');
   process.exit(0);
 });
 
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON document persisted to disk. Writes go to a temp file first and
+// are renamed into place so a crash never leaves a half-written file behind.
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read ${this.filePath}, starting empty:`, error.message);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.load(), null, 2);
+
+    // Serialize writes so an older snapshot never lands after a newer one
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      console.error(`Error writing ${this.filePath}:`, error);
+    });
+
+    return this.writeQueue;
+  }
+}
+
+module.exports = JsonFileStore;
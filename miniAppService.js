@@ -0,0 +1,284 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// Read models and transaction requests for the Mini App dashboard
+// (dashboard.html). Members are identified by Telegram user; their address
+// comes from the active wallet session or the SIWE-linked wallet. Errors
+// carry an HTTP status and code for SimpleServer.
+class MiniAppService {
+  constructor({
+    contractService,
+    transactionTracker,
+    eventIndexer = null,
+    getMemberAddress,
+    resolveUpline,
+    getReferralLink
+  }) {
+    this.contractService = contractService;
+    this.transactionTracker = transactionTracker;
+    this.eventIndexer = eventIndexer;
+    this.getMemberAddress = getMemberAddress;
+    this.resolveUpline = resolveUpline;
+    this.getReferralLink = getReferralLink;
+  }
+
+  createError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  async requireAddress(userId) {
+    const address = await this.getMemberAddress(userId);
+    if (!address) {
+      throw this.createError(404, 'no_wallet', 'No wallet connected or linked. Connect your wallet first.');
+    }
+    return address;
+  }
+
+  async formatUSDT(amount) {
+    return ethers.formatUnits(amount, await this.contractService.getUSDTDecimals());
+  }
+
+  async getMembership(userId) {
+    const address = await this.requireAddress(userId);
+    const [memberInfo, balance, allowance] = await Promise.all([
+      this.contractService.getMemberInfo(address),
+      this.contractService.getUSDTBalance(address),
+      this.contractService.getUSDTAllowance(address)
+    ]);
+
+    const result = {
+      address,
+      isMember: memberInfo.isMember,
+      usdt: { balance: balance.formatted, allowance: allowance.formatted }
+    };
+
+    if (!memberInfo.isMember) {
+      return result;
+    }
+
+    const planId = parseInt(memberInfo.planId);
+    const [planInfo, totalPlans] = await Promise.all([
+      this.contractService.getPlanInfo(planId),
+      this.contractService.getTotalPlanCount()
+    ]);
+
+    return {
+      ...result,
+      planId,
+      planName: planInfo.name,
+      cycleNumber: parseInt(memberInfo.cycleNumber),
+      upline: memberInfo.upline,
+      totalReferrals: parseInt(memberInfo.totalReferrals),
+      totalEarnings: await this.formatUSDT(memberInfo.totalEarnings),
+      registeredAt: parseInt(memberInfo.registeredAt),
+      nextPlanId: planId < parseInt(totalPlans) ? planId + 1 : null
+    };
+  }
+
+  async getPlans() {
+    const plans = await this.contractService.getAllPlans();
+    return await Promise.all(plans.map(async (plan) => {
+      if (plan.error) return plan;
+      return {
+        planId: plan.planId,
+        name: plan.name,
+        price: await this.formatUSDT(plan.price),
+        isActive: plan.isActive,
+        membersPerCycle: parseInt(plan.membersPerCycle),
+        cycle: plan.cycle
+          ? { currentCycle: parseInt(plan.cycle.currentCycle), membersInCurrentCycle: parseInt(plan.cycle.membersInCurrentCycle) }
+          : null
+      };
+    }));
+  }
+
+  async getReferrals(userId) {
+    const address = await this.requireAddress(userId);
+    const uplineChain = await this.contractService.getReferralChain(address);
+
+    // Downlines are only known from indexed events
+    let downlines = null;
+    if (this.eventIndexer) {
+      downlines = this.eventIndexer.getDownlineLevels(address, config.teamMaxDepth).map(level => ({
+        level: level.level,
+        members: level.members.map(member => ({ address: member.address, planId: member.planId }))
+      }));
+    }
+
+    return {
+      address,
+      referralLink: this.getReferralLink(address),
+      uplineChain,
+      downlines
+    };
+  }
+
+  async getEarnings(userId) {
+    const address = await this.requireAddress(userId);
+    const memberInfo = await this.contractService.getMemberInfo(address);
+
+    let recent = null;
+    if (this.eventIndexer) {
+      const me = address.toLowerCase();
+      const events = this.eventIndexer.getEvents({
+        name: 'ReferralPaid',
+        address,
+        predicate: event => event.args.to.toLowerCase() === me,
+        limit: 20,
+        order: 'desc'
+      });
+      recent = await Promise.all(events.map(async (event) => ({
+        from: event.args.from,
+        amount: await this.formatUSDT(event.args.amount),
+        timestamp: event.timestamp,
+        txHash: event.transactionHash,
+        explorerUrl: this.contractService.getExplorerUrl(event.transactionHash)
+      })));
+    }
+
+    return {
+      address,
+      totalEarnings: await this.formatUSDT(memberInfo.totalEarnings),
+      recent
+    };
+  }
+
+  getTransactions(userId) {
+    return this.transactionTracker.getRecent(userId, 20).map(record => ({
+      hash: record.hash,
+      type: record.type,
+      planId: record.planId,
+      description: record.description,
+      status: record.status,
+      error: record.error,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      explorerUrl: this.contractService.getExplorerUrl(record.hash)
+    }));
+  }
+
+  // Validated, gas-priced transaction for the member's injected wallet.
+  // action: approve ({ amount }), register ({ planId, upline }) or upgrade ({ planId })
+  async prepareTransaction(userId, { action, planId, amount, upline }) {
+    const address = await this.requireAddress(userId);
+    planId = parseInt(planId);
+
+    let txData;
+    let description;
+    let meta;
+
+    try {
+      if (action === 'approve') {
+        if (!amount || !(parseFloat(amount) > 0)) {
+          throw new Error('Amount must be greater than 0');
+        }
+        txData = this.contractService.buildApproveTransaction(await this.contractService.parsePrice(String(amount)));
+        description = `Approve ${amount} USDT`;
+        meta = { type: 'approval' };
+      } else if (action === 'register') {
+        if (upline && !this.contractService.isValidAddress(upline)) {
+          throw new Error('Invalid upline address');
+        }
+        const resolved = await this.resolveUpline(userId, upline);
+        await this.contractService.validateRegistration(address, planId, resolved.address);
+        txData = this.contractService.buildRegisterTransaction(planId, resolved.address);
+        description = `Register Plan ${planId}`;
+        meta = { type: 'registration', planId };
+      } else if (action === 'upgrade') {
+        await this.contractService.validateUpgrade(address, planId);
+        txData = this.contractService.buildUpgradeTransaction(planId);
+        description = `Upgrade to Plan ${planId}`;
+        meta = { type: 'upgrade', planId };
+      } else {
+        throw new Error('Unknown action');
+      }
+    } catch (error) {
+      throw this.createError(400, 'invalid_transaction', error.message);
+    }
+
+    const prepared = await this.contractService.prepareTransaction(txData, address);
+    const { gasCost, ...transaction } = prepared;
+
+    return { from: address, transaction, gasCost, description, ...meta };
+  }
+
+  // The injected wallet may broadcast through another node, so the
+  // transaction can take a moment to show up on ours
+  async fetchTransaction(txHash, attempts = 5) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const tx = await this.contractService.provider.getTransaction(txHash);
+      if (tx) return tx;
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+    return null;
+  }
+
+  // What a Mini App transaction does, read from its calldata rather than
+  // trusted from the request. Only the calls prepareTransaction builds qualify.
+  async describeTransaction(tx) {
+    const to = (tx.to || '').toLowerCase();
+    let parsed = null;
+
+    try {
+      if (to === config.contractAddress.toLowerCase()) {
+        parsed = this.contractService.contractInterface.parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed && parsed.name === 'registerMember') {
+          const planId = Number(parsed.args[0]);
+          return { type: 'registration', planId, description: `Register Plan ${planId}` };
+        }
+        if (parsed && parsed.name === 'upgradePlan') {
+          const planId = Number(parsed.args[0]);
+          return { type: 'upgrade', planId, description: `Upgrade to Plan ${planId}` };
+        }
+      } else if (to === config.usdtContractAddress.toLowerCase()) {
+        parsed = this.contractService.usdtInterface.parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed && parsed.name === 'approve' && parsed.args[0].toLowerCase() === config.contractAddress.toLowerCase()) {
+          return { type: 'approval', planId: null, description: `Approve ${await this.formatUSDT(parsed.args[1])} USDT` };
+        }
+      }
+    } catch (error) {
+      // Calldata that matches neither ABI
+    }
+
+    return null;
+  }
+
+  // Sent by the injected wallet; tracked like bot-sent transactions so the
+  // member is notified in Telegram when it settles
+  async trackTransaction(userId, { txHash }) {
+    if (!/^0x[a-fA-F0-9]{64}$/.test(txHash || '')) {
+      throw this.createError(400, 'invalid_request', 'Invalid transaction hash');
+    }
+
+    const address = await this.requireAddress(userId);
+    const tx = await this.fetchTransaction(txHash);
+    if (!tx) {
+      throw this.createError(404, 'tx_not_found', 'Transaction not found on the network yet, try again shortly');
+    }
+    if (tx.from.toLowerCase() !== address.toLowerCase()) {
+      throw this.createError(403, 'not_your_transaction', 'Transaction was not sent from your wallet');
+    }
+
+    const details = await this.describeTransaction(tx);
+    if (!details) {
+      throw this.createError(400, 'unsupported_transaction', 'Only approve, register and upgrade transactions can be tracked');
+    }
+
+    const record = await this.transactionTracker.track({
+      txHash,
+      telegramUserId: userId,
+      from: address,
+      description: details.description,
+      meta: { chatId: userId, type: details.type, planId: details.planId }
+    });
+
+    return { hash: record.hash, status: record.status };
+  }
+}
+
+module.exports = MiniAppService;
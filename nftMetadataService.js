@@ -0,0 +1,115 @@
+const axios = require('axios');
+const config = require('./config');
+
+// Resolves membership NFT metadata from tokenURI. Supports data: JSON,
+// ipfs:// (through the configured gateway) and plain http(s) URIs.
+class NftMetadataService {
+  constructor(contractService) {
+    this.contractService = contractService;
+    this.cache = new Map(); // token_uri -> { metadata, expiresAt }
+  }
+
+  resolveUri(uri) {
+    if (uri.startsWith('ipfs://')) {
+      const gateway = config.ipfsGateway.endsWith('/') ? config.ipfsGateway : `${config.ipfsGateway}/`;
+      return gateway + uri.replace('ipfs://', '').replace(/^ipfs\//, '');
+    }
+    return uri;
+  }
+
+  decodeDataUri(uri) {
+    const match = uri.match(/^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,(.*)$/s);
+    if (!match) {
+      throw new Error('Malformed data URI');
+    }
+
+    const mimeType = match[1] || 'text/plain';
+    const payload = match[3]
+      ? Buffer.from(match[4], 'base64')
+      : Buffer.from(decodeURIComponent(match[4]), 'utf8');
+
+    return { mimeType, payload };
+  }
+
+  async fetchMetadata(tokenURI) {
+    const cached = this.cache.get(tokenURI);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    let metadata;
+    if (tokenURI.startsWith('data:')) {
+      metadata = JSON.parse(this.decodeDataUri(tokenURI).payload.toString('utf8'));
+    } else {
+      const url = this.resolveUri(tokenURI);
+      if (!/^https?:\/\//.test(url)) {
+        throw new Error(`Unsupported token URI scheme: ${tokenURI.substring(0, 20)}`);
+      }
+      const response = await axios.get(url, { timeout: 15000, responseType: 'json' });
+      metadata = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    }
+
+    this.cache.set(tokenURI, {
+      metadata,
+      expiresAt: Date.now() + config.nftMetadataCacheTtl
+    });
+
+    return metadata;
+  }
+
+  // Turns an image URI into something sendPhoto/sendDocument can take.
+  // Telegram photos cannot be SVG, so those are sent as documents.
+  resolveImage(imageURI) {
+    if (!imageURI) return null;
+
+    if (imageURI.startsWith('data:')) {
+      const { mimeType, payload } = this.decodeDataUri(imageURI);
+      return {
+        source: payload,
+        mimeType,
+        asDocument: mimeType.includes('svg')
+      };
+    }
+
+    const url = this.resolveUri(imageURI);
+    return {
+      source: url,
+      mimeType: null,
+      asDocument: url.toLowerCase().endsWith('.svg')
+    };
+  }
+
+  async getMembershipCard(address) {
+    const tokenId = await this.contractService.getTokenIdOfOwner(address, 0);
+    const tokenURI = await this.contractService.getTokenURI(tokenId);
+
+    let metadata = {};
+    let metadataError = null;
+    try {
+      metadata = await this.fetchMetadata(tokenURI);
+    } catch (error) {
+      metadataError = error.message;
+      console.warn(`NFT metadata unavailable for token ${tokenId}:`, error.message);
+    }
+
+    // Fall back to on-chain image data when metadata has no image
+    let imageURI = metadata.image || metadata.image_url || null;
+    let onChain = null;
+    if (!imageURI) {
+      onChain = await this.contractService.getNFTImage(tokenId);
+      imageURI = onChain.imageURI || await this.contractService.getPlanDefaultImage(onChain.planId);
+    }
+
+    return {
+      tokenId,
+      tokenURI,
+      name: metadata.name || onChain?.name || `Membership #${tokenId}`,
+      description: metadata.description || onChain?.description || '',
+      attributes: Array.isArray(metadata.attributes) ? metadata.attributes : [],
+      image: this.resolveImage(imageURI),
+      metadataError
+    };
+  }
+}
+
+module.exports = NftMetadataService;
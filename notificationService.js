@@ -0,0 +1,208 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+const MODES = ['instant', 'daily', 'off'];
+
+// Pushes referral earnings to the Telegram user linked to the receiving
+// address. Users choose instant messages, a daily digest, or no messages.
+class NotificationService {
+  constructor({ sendMessage, contractService, eventIndexer }, filePath = path.join(config.dataDir, 'notifications.json')) {
+    this.sendMessage = sendMessage;
+    this.contractService = contractService;
+    this.eventIndexer = eventIndexer;
+    this.store = new JsonFileStore(filePath, { links: {}, preferences: {}, digests: {} });
+    this.digestTimer = null;
+  }
+
+  start() {
+    if (!this.eventIndexer) {
+      console.warn('⚠️ Earnings notifications disabled (event indexer not running)');
+      return;
+    }
+
+    this.eventIndexer.on('event', (event, meta) => {
+      // Backfilled history is old news, only notify on live events
+      if (meta && meta.backfill) return;
+      this.handleEvent(event).catch((error) => {
+        console.error('Error handling notification event:', error);
+      });
+    });
+
+    this.digestTimer = setInterval(() => this.sendDueDigests(), 10 * 60 * 1000);
+  }
+
+  // === LINKS & PREFERENCES ===
+
+  async linkAddress(telegramUserId, address) {
+    const data = this.store.load();
+    const key = address.toLowerCase();
+    if (data.links[key] === telegramUserId) return;
+
+    data.links[key] = telegramUserId;
+    await this.store.save();
+  }
+
+  getLinkedUser(address) {
+    return this.store.load().links[address.toLowerCase()] || null;
+  }
+
+  getMode(telegramUserId) {
+    return this.store.load().preferences[telegramUserId] || config.defaultNotificationMode;
+  }
+
+  async setMode(telegramUserId, mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid notification mode. Use: ${MODES.join(', ')}`);
+    }
+
+    const data = this.store.load();
+    data.preferences[telegramUserId] = mode;
+
+    // Earnings already queued for the digest are delivered rather than
+    // dropped; if that fails they go out with the next scheduled digests
+    const digest = data.digests[telegramUserId];
+    if (mode !== 'daily' && digest && digest.items.length > 0) {
+      await this.sendDigest(telegramUserId, digest);
+    }
+    await this.store.save();
+  }
+
+  // === EVENT HANDLING ===
+
+  async handleEvent(event) {
+    let recipient;
+    let item;
+
+    if (event.name === 'ReferralPaid') {
+      recipient = event.args.to;
+      item = {
+        type: 'referral',
+        amount: event.args.amount,
+        downline: event.args.from,
+        txHash: event.transactionHash,
+        timestamp: event.timestamp
+      };
+    } else if (event.name === 'UplineNotified') {
+      recipient = event.args.upline;
+      item = {
+        type: 'upline_notice',
+        downline: event.args.downline,
+        downlineCurrentPlan: event.args.downlineCurrentPlan,
+        downlineTargetPlan: event.args.downlineTargetPlan,
+        txHash: event.transactionHash,
+        timestamp: event.timestamp
+      };
+    } else {
+      return;
+    }
+
+    const telegramUserId = this.getLinkedUser(recipient);
+    if (!telegramUserId) return;
+
+    const mode = this.getMode(telegramUserId);
+    if (mode === 'off') return;
+
+    if (mode === 'daily') {
+      const data = this.store.load();
+      if (!data.digests[telegramUserId]) {
+        data.digests[telegramUserId] = { items: [], lastSentDate: null };
+      }
+      data.digests[telegramUserId].items.push(item);
+      await this.store.save();
+      return;
+    }
+
+    await this.sendMessage(telegramUserId, await this.formatInstant(item), { disable_web_page_preview: true });
+  }
+
+  async formatInstant(item) {
+    const explorerUrl = this.contractService.getExplorerUrl(item.txHash);
+
+    if (item.type === 'referral') {
+      const amount = await this.contractService.formatPrice(item.amount);
+      return `
+💰 *Referral Commission Received!*
+
+• Amount: ${amount} USDT
+• From Downline: \`${item.downline}\`
+• Transaction: [View on Explorer](${explorerUrl})
+
+💡 Use \`/notifications\` to change how you are notified
+      `;
+    }
+
+    return `
+🔔 *Your Downline Wants to Upgrade*
+
+• Downline: \`${item.downline}\`
+• Current Plan: ${item.downlineCurrentPlan}
+• Target Plan: ${item.downlineTargetPlan}
+• Transaction: [View on Explorer](${explorerUrl})
+
+⚠️ Upgrade your own plan to keep earning from this downline
+    `;
+  }
+
+  // === DAILY DIGEST ===
+
+  async sendDueDigests() {
+    const now = new Date();
+    if (now.getUTCHours() < config.notificationDigestHour) return;
+
+    const today = now.toISOString().substring(0, 10);
+    const data = this.store.load();
+
+    for (const [telegramUserId, digest] of Object.entries(data.digests)) {
+      if (digest.lastSentDate === today || digest.items.length === 0) continue;
+
+      if (await this.sendDigest(telegramUserId, digest)) {
+        digest.lastSentDate = today;
+      }
+    }
+
+    await this.store.save();
+  }
+
+  // Sends and clears the queued items; the caller saves the store
+  async sendDigest(telegramUserId, digest) {
+    try {
+      await this.sendMessage(telegramUserId, await this.formatDigest(digest.items), { disable_web_page_preview: true });
+      digest.items = [];
+      return true;
+    } catch (error) {
+      console.error(`Error sending digest to ${telegramUserId}:`, error);
+      return false;
+    }
+  }
+
+  async formatDigest(items) {
+    const decimals = await this.contractService.getUSDTDecimals();
+    const referrals = items.filter(item => item.type === 'referral');
+    const notices = items.filter(item => item.type === 'upline_notice');
+    const total = referrals.reduce((sum, item) => sum + BigInt(item.amount), 0n);
+
+    const lines = referrals.slice(0, 10).map(item =>
+      `• ${ethers.formatUnits(item.amount, decimals)} USDT from \`${item.downline.substring(0, 6)}...${item.downline.substring(38)}\` [tx](${this.contractService.getExplorerUrl(item.txHash)})`
+    );
+    if (referrals.length > 10) {
+      lines.push(`• ...and ${referrals.length - 10} more`);
+    }
+
+    return `
+📬 *Daily Earnings Summary*
+
+💰 *Total Earned:* ${ethers.formatUnits(total, decimals)} USDT
+🤝 *Commissions:* ${referrals.length}
+${lines.join('\n')}
+${notices.length > 0 ? `\n🔔 ${notices.length} downline(s) tried to upgrade above your plan` : ''}
+
+💡 Use \`/notifications\` to change how you are notified
+    `;
+  }
+}
+
+NotificationService.MODES = MODES;
+
+module.exports = NotificationService;
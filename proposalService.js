@@ -0,0 +1,211 @@
+const path = require('path');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// M-of-N approval for sensitive admin actions. Each proposal records the
+// admins who may vote on it when it is created; it executes only after
+// `quorum` of them vote yes, is rejected once enough
+// of them vote no that the quorum can no longer be reached, and expires after `ttl`.
+// getEligibleVoters(action) returns the Telegram IDs allowed to vote on an action.
+class ProposalService {
+  constructor({ quorum = config.adminQuorum, ttl = config.proposalTtl, getEligibleVoters } = {},
+    filePath = path.join(config.dataDir, 'proposals.json')) {
+    this.quorum = Math.max(1, quorum);
+    this.ttl = ttl;
+    this.getEligibleVoters = getEligibleVoters;
+    this.store = new JsonFileStore(filePath, { nextId: 1, proposals: {} });
+  }
+
+  addHistory(proposal, userId, event, detail = null) {
+    proposal.history.push({ at: Date.now(), userId, event, detail });
+  }
+
+  async create(action, params, description, proposer) {
+    // Fewer voters than the quorum would let fewer admins approve than
+    // configured, so such actions cannot be proposed at all
+    const eligibleVoters = this.getEligibleVoters(action);
+    if (eligibleVoters.length < this.quorum) {
+      throw new Error(`\`/${action}\` needs ${this.quorum} approvals but only ${eligibleVoters.length} admin(s) may vote on it`);
+    }
+
+    const data = this.store.load();
+    const id = data.nextId++;
+    const now = Date.now();
+
+    const proposal = {
+      id,
+      action,
+      params,
+      description,
+      proposer,
+      status: 'pending',
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      eligibleVoters,
+      quorum: this.quorum,
+      votes: {},
+      history: [],
+      result: null
+    };
+    this.addHistory(proposal, proposer.id, 'created', description);
+
+    data.proposals[id] = proposal;
+
+    // The proposer implicitly approves their own proposal when they can vote on it
+    if (eligibleVoters.includes(proposer.id)) {
+      return await this.vote(id, proposer, 'yes');
+    }
+
+    await this.store.save();
+    return proposal;
+  }
+
+  async get(id) {
+    const proposal = this.store.load().proposals[id] || null;
+    if (proposal) {
+      this.fillEligibleVoters(proposal);
+      if (this.expireIfStale(proposal)) {
+        await this.store.save();
+      }
+    }
+    return proposal;
+  }
+
+  async list(status = null) {
+    const proposals = Object.values(this.store.load().proposals);
+    let expired = false;
+    for (const proposal of proposals) {
+      this.fillEligibleVoters(proposal);
+      expired = this.expireIfStale(proposal) || expired;
+    }
+    if (expired) {
+      await this.store.save();
+    }
+
+    return proposals
+      .filter(proposal => !status || proposal.status === status)
+      .sort((a, b) => b.id - a.id);
+  }
+
+  // Proposals stored before voters were recorded per proposal
+  fillEligibleVoters(proposal) {
+    if (proposal.eligibleVoters) return;
+    proposal.eligibleVoters = this.getEligibleVoters(proposal.action);
+    proposal.quorum = this.quorum;
+  }
+
+  // Marks the proposal expired when its TTL has passed; the caller saves
+  expireIfStale(proposal) {
+    if (proposal.status === 'pending' && proposal.expiresAt < Date.now()) {
+      proposal.status = 'expired';
+      this.addHistory(proposal, null, 'expired');
+      return true;
+    }
+    return false;
+  }
+
+  tally(proposal) {
+    const votes = Object.values(proposal.votes);
+    return {
+      yes: votes.filter(vote => vote.vote === 'yes').length,
+      no: votes.filter(vote => vote.vote === 'no').length,
+      quorum: proposal.quorum,
+      eligible: proposal.eligibleVoters.length
+    };
+  }
+
+  async vote(id, voter, vote) {
+    const proposal = await this.get(id);
+    if (!proposal) {
+      throw new Error(`Proposal #${id} not found`);
+    }
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal #${id} is ${proposal.status}`);
+    }
+    if (!['yes', 'no'].includes(vote)) {
+      throw new Error('Vote must be yes or no');
+    }
+    if (!proposal.eligibleVoters.includes(voter.id)) {
+      throw new Error(`You are not allowed to vote on proposal #${id}`);
+    }
+    if (proposal.votes[voter.id]) {
+      throw new Error(`You already voted ${proposal.votes[voter.id].vote} on proposal #${id}`);
+    }
+
+    proposal.votes[voter.id] = { vote, username: voter.username, at: Date.now() };
+    this.addHistory(proposal, voter.id, `voted ${vote}`);
+
+    const tally = this.tally(proposal);
+    if (tally.yes >= tally.quorum) {
+      proposal.status = 'approved';
+      this.addHistory(proposal, null, 'approved', `${tally.yes}/${tally.quorum} yes votes`);
+    } else if (tally.eligible - tally.no < tally.quorum) {
+      proposal.status = 'rejected';
+      this.addHistory(proposal, null, 'rejected', `${tally.no} no votes`);
+    }
+
+    await this.store.save();
+    return proposal;
+  }
+
+  // Recorded before anything is signed, so after a restart a proposal that
+  // never ran can be told apart from one that may already be on chain
+  async markExecuting(id, executorId) {
+    const proposal = await this.get(id);
+    proposal.executionStartedAt = Date.now();
+    this.addHistory(proposal, executorId, 'executing');
+    await this.store.save();
+    return proposal;
+  }
+
+  // The hash is stored before waiting, so a timeout or restart never loses it
+  async markSent(id, executorId, txHash) {
+    const proposal = await this.get(id);
+    proposal.result = { txHash, sentAt: Date.now() };
+    this.addHistory(proposal, executorId, 'sent', txHash);
+    await this.store.save();
+    return proposal;
+  }
+
+  // Sent, but whether it was mined is unknown; it must not be proposed again
+  // until the transaction is checked
+  async markUnconfirmed(id, executorId, txHash, errorMessage) {
+    const proposal = await this.get(id);
+    proposal.status = 'unconfirmed';
+    proposal.result = { txHash, error: errorMessage, sentAt: proposal.result?.sentAt || Date.now() };
+    this.addHistory(proposal, executorId, 'unconfirmed', errorMessage);
+    await this.store.save();
+    return proposal;
+  }
+
+  async markExecuted(id, executorId, txHash) {
+    const proposal = await this.get(id);
+    proposal.status = 'executed';
+    proposal.result = { txHash, executedAt: Date.now() };
+    this.addHistory(proposal, executorId, 'executed', txHash);
+    await this.store.save();
+    return proposal;
+  }
+
+  // Safe signing mode: the transaction was handed to the multisig instead of sent
+  async markExported(id, executorId) {
+    const proposal = await this.get(id);
+    proposal.status = 'exported';
+    proposal.result = { exportedAt: Date.now() };
+    this.addHistory(proposal, executorId, 'exported', 'Safe transaction batch');
+    await this.store.save();
+    return proposal;
+  }
+
+  // txHash is set when the transaction was mined and reverted
+  async markFailed(id, executorId, errorMessage, txHash = null) {
+    const proposal = await this.get(id);
+    proposal.status = 'failed';
+    proposal.result = { error: errorMessage, txHash, executedAt: Date.now() };
+    this.addHistory(proposal, executorId, 'failed', errorMessage);
+    await this.store.save();
+    return proposal;
+  }
+}
+
+module.exports = ProposalService;
@@ -0,0 +1,64 @@
+// Fixed-window request counter per key (IP address, Telegram user, ...)
+class RateLimiter {
+  constructor({ windowMs, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.windows = new Map(); // key -> { count, resetAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), windowMs);
+    this.cleanupTimer.unref();
+  }
+
+  hit(key) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= this.max,
+      limit: this.max,
+      remaining: Math.max(0, this.max - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, window] of this.windows.entries()) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  // Express middleware; keyFn(req) returns the key or null to skip limiting
+  middleware(keyFn) {
+    return (req, res, next) => {
+      const key = keyFn(req);
+      if (key === null || key === undefined) return next();
+
+      const result = this.hit(key);
+      res.set('X-RateLimit-Limit', String(result.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'rate_limited',
+          message: 'Too many requests, slow down',
+          retryAfter
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,34 @@
+const path = require('path');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// Remembers which address invited each Telegram user. Attribution is
+// first-touch: later /start ref_ links never overwrite an existing referral.
+class ReferralStore {
+  constructor(filePath = path.join(config.dataDir, 'referrals.json')) {
+    this.store = new JsonFileStore(filePath, { referrals: {} });
+  }
+
+  getReferral(telegramUserId) {
+    return this.store.load().referrals[telegramUserId] || null;
+  }
+
+  async recordReferral(telegramUserId, uplineAddress) {
+    const existing = this.getReferral(telegramUserId);
+    if (existing) {
+      return { referral: existing, created: false };
+    }
+
+    const referral = {
+      uplineAddress,
+      referredAt: Date.now()
+    };
+
+    this.store.load().referrals[telegramUserId] = referral;
+    await this.store.save();
+
+    return { referral, created: true };
+  }
+}
+
+module.exports = ReferralStore;
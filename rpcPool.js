@@ -0,0 +1,236 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// Errors that every node would return for the same request, so trying
+// another endpoint cannot help
+const DETERMINISTIC_ERRORS = [
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'ACTION_REJECTED'
+];
+
+// Provider over several RPC endpoints. Requests go to the best scoring
+// healthy endpoint and fail over to the next one on network errors, rate
+// limits and timeouts. A background check tracks latency and block height.
+class RpcPool extends ethers.AbstractProvider {
+  constructor(urls = config.rpcUrls, {
+    chainId = config.chainId,
+    timeout = config.rpcTimeout,
+    healthInterval = config.rpcHealthInterval,
+    maxBlockLag = config.rpcMaxBlockLag,
+    cooldown = config.rpcCooldown
+  } = {}) {
+    const network = ethers.Network.from(chainId);
+    super(network);
+
+    this.chainId = chainId;
+    this.timeout = timeout;
+    this.maxBlockLag = maxBlockLag;
+    this.cooldown = cooldown;
+
+    this.endpoints = urls.map(url => ({
+      url,
+      provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+      latency: null, // moving average in ms
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      blockNumber: null,
+      lastError: null,
+      lastCheckedAt: null,
+      unhealthyUntil: 0
+    }));
+
+    if (healthInterval > 0) {
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(error => console.warn('⚠️ RPC health check failed:', error.message));
+      }, healthInterval);
+      this.healthTimer.unref();
+    }
+  }
+
+  isHealthy(endpoint) {
+    return endpoint.unhealthyUntil <= Date.now();
+  }
+
+  // Lower is better; endpoints without samples rank after measured ones
+  score(endpoint) {
+    const latency = endpoint.latency === null ? this.timeout / 2 : endpoint.latency;
+    return latency * (1 + endpoint.consecutiveFailures);
+  }
+
+  getRankedEndpoints() {
+    const healthy = this.endpoints.filter(endpoint => this.isHealthy(endpoint));
+    const unhealthy = this.endpoints.filter(endpoint => !this.isHealthy(endpoint));
+
+    healthy.sort((a, b) => this.score(a) - this.score(b));
+    unhealthy.sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+
+    // Unhealthy endpoints are still tried last rather than failing outright
+    return [...healthy, ...unhealthy];
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.7 + latency * 0.3);
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.unhealthyUntil = 0;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.shortMessage || error.message;
+    // Back off longer the more often an endpoint fails in a row
+    endpoint.unhealthyUntil = Date.now() + this.cooldown * Math.min(endpoint.consecutiveFailures, 10);
+  }
+
+  async withTimeout(promise, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`RPC ${label} timed out after ${this.timeout}ms`)), this.timeout);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  async _perform(req) {
+    let lastError = null;
+
+    for (const endpoint of this.getRankedEndpoints()) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.withTimeout(endpoint.provider._perform(req), req.method);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (DETERMINISTIC_ERRORS.some(code => ethers.isError(error, code))) {
+          this.recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+
+        this.recordFailure(endpoint, error);
+        lastError = error;
+        if (this.endpoints.length > 1) {
+          console.warn(`⚠️ RPC ${endpoint.url} failed (${req.method}): ${endpoint.lastError}`);
+        }
+      }
+    }
+
+    throw lastError || new Error('No RPC endpoints configured');
+  }
+
+  // Latency probe on every endpoint; endpoints lagging behind the highest
+  // block are treated as unhealthy
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        endpoint.blockNumber = await this.withTimeout(endpoint.provider.getBlockNumber(), 'health check');
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+      }
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }));
+
+    const heights = this.endpoints.map(endpoint => endpoint.blockNumber).filter(height => height !== null);
+    const bestHeight = heights.length > 0 ? Math.max(...heights) : null;
+
+    for (const endpoint of this.endpoints) {
+      if (bestHeight !== null && endpoint.blockNumber !== null && bestHeight - endpoint.blockNumber > this.maxBlockLag) {
+        endpoint.lastError = `${bestHeight - endpoint.blockNumber} blocks behind`;
+        endpoint.unhealthyUntil = Date.now() + this.cooldown;
+      }
+    }
+
+    return this.getHealth();
+  }
+
+  getHealth() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: this.isHealthy(endpoint),
+      latency: endpoint.latency,
+      blockNumber: endpoint.blockNumber,
+      successes: endpoint.successes,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt
+    }));
+  }
+
+  // Runs read(provider, blockTag) on several endpoints and only resolves when
+  // at least `quorum` of them return the same value. Every endpoint reads the
+  // same block, the lowest head among them, so a node that is a block ahead
+  // does not count as a disagreement.
+  async quorumRead(label, read, quorum = config.rpcQuorum) {
+    const required = Math.min(quorum, this.endpoints.length);
+    const healthy = this.getRankedEndpoints().filter(endpoint => this.isHealthy(endpoint));
+    if (healthy.length < required) {
+      throw new Error(`Not enough healthy RPC endpoints to verify ${label} (${healthy.length}/${required})`);
+    }
+
+    const heads = await Promise.all(healthy.map(async (endpoint) => {
+      try {
+        endpoint.blockNumber = await this.withTimeout(endpoint.provider.getBlockNumber(), 'block number');
+        return endpoint.blockNumber;
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+        return null;
+      }
+    }));
+
+    const candidates = healthy.filter((endpoint, index) => heads[index] !== null);
+    if (candidates.length < required) {
+      throw new Error(`Not enough healthy RPC endpoints to verify ${label} (${candidates.length}/${required})`);
+    }
+    const blockTag = Math.min(...heads.filter(head => head !== null));
+
+    const results = await Promise.all(candidates.map(async (endpoint) => {
+      try {
+        const value = await this.withTimeout(read(endpoint.provider, blockTag), label);
+        return { value, key: JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)) };
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+        return null;
+      }
+    }));
+
+    const counts = new Map();
+    for (const result of results.filter(Boolean)) {
+      const entry = counts.get(result.key) || { value: result.value, count: 0 };
+      entry.count++;
+      counts.set(result.key, entry);
+    }
+
+    const best = Array.from(counts.values()).sort((a, b) => b.count - a.count)[0];
+    if (!best || best.count < required) {
+      throw new Error(`RPC endpoints disagree on ${label} at block ${blockTag} (${best ? best.count : 0}/${required} matching)`);
+    }
+
+    return best.value;
+  }
+
+  destroy() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+    }
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+module.exports = RpcPool;
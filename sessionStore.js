@@ -0,0 +1,85 @@
+const path = require('path');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// Storage interface for WalletService sessions. Implementations only persist
+// plain metadata (never connector objects) so a session can be rebuilt from
+// its WalletConnect topic after a restart.
+class SessionStore {
+  async loadAll() {
+    throw new Error('SessionStore.loadAll() not implemented');
+  }
+
+  async save(sessionId, record) {
+    throw new Error('SessionStore.save() not implemented');
+  }
+
+  async remove(sessionId) {
+    throw new Error('SessionStore.remove() not implemented');
+  }
+}
+
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async loadAll() {
+    return Array.from(this.records.values());
+  }
+
+  async save(sessionId, record) {
+    this.records.set(sessionId, { ...record });
+  }
+
+  async remove(sessionId) {
+    this.records.delete(sessionId);
+  }
+}
+
+class FileSessionStore extends SessionStore {
+  constructor(filePath) {
+    super();
+    this.store = new JsonFileStore(filePath, { sessions: {} });
+  }
+
+  async loadAll() {
+    return Object.values(this.store.load().sessions);
+  }
+
+  async save(sessionId, record) {
+    this.store.load().sessions[sessionId] = { ...record };
+    await this.store.save();
+  }
+
+  async remove(sessionId) {
+    const data = this.store.load();
+    if (data.sessions[sessionId]) {
+      delete data.sessions[sessionId];
+      await this.store.save();
+    }
+  }
+}
+
+// SESSION_STORE may be 'file', 'memory' or a path to a module exporting a
+// SessionStore subclass (constructed with no arguments)
+function createSessionStore(type = config.sessionStore) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(path.join(config.dataDir, 'sessions.json'));
+    default: {
+      const CustomStore = require(path.resolve(type));
+      return new CustomStore();
+    }
+  }
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
@@ -1,27 +1,103 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const config = require('./config');
+const ApiAuth = require('./apiAuth');
+const RateLimiter = require('./rateLimiter');
+const WalletLinkService = require('./walletLinkService');
+const MiniAppService = require('./miniAppService');
 
 class SimpleServer {
-  constructor(walletService, port = 3001) {
+  // One server per process, shared by both bots for webhooks. walletService
+  // may be null when only the admin bot runs. services: walletLinkService,
+  // plus the MiniAppService dependencies (contractService, ...) to enable the
+  // dashboard API, which can also be enabled later with enableMiniApp.
+  constructor(walletService, port = config.apiPort, services = {}) {
     this.app = express();
     this.walletService = walletService;
+    this.walletLinkService = services.walletLinkService || new WalletLinkService();
+    this.miniApp = null;
     this.port = port;
+    this.auth = new ApiAuth();
+    this.ipLimiter = new RateLimiter({ windowMs: config.apiRateLimitWindow, max: config.apiRateLimitPerIp });
+    this.userLimiter = new RateLimiter({ windowMs: config.apiRateLimitWindow, max: config.apiRateLimitPerUser });
     
     this.setupMiddleware();
     this.setupRoutes();
+
+    if (services.contractService) {
+      this.enableMiniApp(services);
+    }
   }
 
   setupMiddleware() {
-    // Allow CORS from chainsx.info
+    // Allow CORS from chainsx.info and wherever the Mini App pages are hosted
     this.app.use(cors({
       origin: [
         'https://chainsx.info',
+        new URL(config.serverUrl).origin,
         'http://localhost:3000',
         'http://127.0.0.1:3000'
       ],
       credentials: true
     }));
     this.app.use(express.json());
+
+    // req.ip is the client address only when the proxy in front is trusted
+    if (config.apiTrustProxy) {
+      this.app.set('trust proxy', config.apiTrustProxy);
+    }
+
+    this.app.use('/api', this.ipLimiter.middleware(req => req.ip));
+  }
+
+  // Authentication followed by the per-user limit (API key callers share one bucket)
+  requireAuth(methods) {
+    return [
+      this.auth.middleware(methods),
+      this.userLimiter.middleware(req => (req.auth.type === 'telegram' ? `user:${req.auth.userId}` : 'apiKey'))
+    ];
+  }
+
+  // Mini App callers may only act on their own Telegram account
+  isOwnUser(req, userId) {
+    return req.auth.type === 'apiKey' || req.auth.userId === userId;
+  }
+
+  // Serves a page with the API base URL and chain settings injected in
+  // place of its <!-- APP_CONFIG --> marker
+  async sendPage(res, file) {
+    try {
+      const html = await fs.promises.readFile(path.join(__dirname, file), 'utf8');
+      const appConfig = {
+        apiBaseUrl: config.apiBaseUrl,
+        chainId: config.chainId,
+        networkName: config.networkName,
+        contractAddress: config.contractAddress,
+        usdtContractAddress: config.usdtContractAddress
+      };
+      const script = `<script>window.APP_CONFIG = ${JSON.stringify(appConfig).replace(/</g, '\\u003c')};</script>`;
+      res.type('html').send(html.replace('<!-- APP_CONFIG -->', script));
+    } catch (error) {
+      console.error(`Error serving ${file}:`, error);
+      res.status(500).send('Page unavailable');
+    }
+  }
+
+  // Wraps a MiniAppService call; errors with a status are the caller's fault
+  miniAppHandler(handler) {
+    return async (req, res) => {
+      try {
+        res.json(await handler(req));
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.code, message: error.message });
+        }
+        console.error(`API Error on ${req.path}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    };
   }
 
   setupRoutes() {
@@ -30,10 +106,25 @@ class SimpleServer {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
 
+    // Mini App pages
+    this.app.get('/connect.html', (req, res) => this.sendPage(res, 'connect.html'));
+    this.app.get(['/app', '/dashboard.html'], (req, res) => this.sendPage(res, 'dashboard.html'));
+
+    if (this.walletService) {
+      this.setupWalletRoutes();
+    }
+  }
+
+  setupWalletRoutes() {
+
     // Check wallet connection status
-    this.app.get('/api/wallet/status/:userId', async (req, res) => {
+    this.app.get('/api/wallet/status/:userId', this.requireAuth(['telegram', 'apiKey']), async (req, res) => {
       try {
         const userId = parseInt(req.params.userId);
+        if (!this.isOwnUser(req, userId)) {
+          return res.status(403).json({ error: 'forbidden', message: 'You can only check your own wallet' });
+        }
+
         const connection = await this.walletService.checkConnection(userId);
         
         console.log(`📊 API: Checking connection for user ${userId}:`, connection);
@@ -43,6 +134,7 @@ class SimpleServer {
           address: connection.address,
           chainId: connection.chainId,
           sessionId: connection.sessionId,
+          readOnly: connection.readOnly,
           reason: connection.reason
         });
       } catch (error) {
@@ -54,19 +146,45 @@ class SimpleServer {
       }
     });
 
-    // Webhook for wallet notifications (optional)
-    this.app.post('/api/wallet/notify-connected', (req, res) => {
+    // Step 1 of a browser wallet connection: the SIWE message to personal_sign
+    this.app.post('/api/wallet/challenge', this.requireAuth(['telegram']), (req, res) => {
       try {
-        const { userId, address, chainId } = req.body;
-        console.log(`📨 API: Wallet connected notification:`, { userId, address, chainId });
-        
-        // Could emit event here if needed
-        res.json({ 
-          success: true, 
-          message: 'Notification received' 
+        const { address, chainId } = req.body;
+        const challenge = this.walletLinkService.createChallenge(req.auth.userId, address, chainId || config.chainId);
+        res.json(challenge);
+      } catch (error) {
+        res.status(400).json({ error: 'invalid_request', message: error.message });
+      }
+    });
+
+    // Step 2: the signed message proves the Telegram user owns the address,
+    // which is linked durably and becomes a read-only wallet session
+    this.app.post('/api/wallet/notify-connected', this.requireAuth(['telegram']), async (req, res) => {
+      const userId = req.auth.userId;
+      const { address, nonce, signature } = req.body;
+
+      let proof;
+      try {
+        proof = await this.walletLinkService.verifyAndLink(userId, { address, nonce, signature }, 'browser');
+      } catch (error) {
+        console.warn(`⚠️ API: Rejected wallet proof from user ${userId}: ${error.message}`);
+        return res.status(400).json({ error: 'invalid_proof', message: error.message });
+      }
+
+      try {
+        const session = await this.walletService.registerReadOnlySession(userId, proof.address, proof.chainId);
+        console.log(`📨 API: Verified wallet ${proof.address} for user ${userId}`);
+
+        res.json({
+          success: true,
+          address: proof.address,
+          chainId: proof.chainId,
+          sessionId: session.sessionId,
+          sessionAddress: session.address,
+          readOnly: session.readOnly
         });
       } catch (error) {
-        console.error('API Error processing notification:', error);
+        console.error('API Error registering wallet:', error);
         res.status(500).json({ 
           error: 'Internal server error' 
         });
@@ -74,7 +192,7 @@ class SimpleServer {
     });
 
     // Get wallet service stats
-    this.app.get('/api/wallet/stats', (req, res) => {
+    this.app.get('/api/wallet/stats', this.requireAuth(['apiKey']), (req, res) => {
       try {
         const stats = this.walletService.getStats();
         res.json(stats);
@@ -87,6 +205,46 @@ class SimpleServer {
     });
   }
 
+  enableMiniApp(services) {
+    if (this.miniApp) return;
+    this.miniApp = new MiniAppService(services);
+    this.setupMiniAppRoutes();
+  }
+
+  // Telegram webhook endpoint for a bot; Telegram sends the secret token
+  // registered with setWebHook in every request
+  mountWebhook(path, secret, onUpdate) {
+    this.app.post(path, (req, res) => {
+      if (!this.auth.safeEqual(req.get('X-Telegram-Bot-Api-Secret-Token') || '', secret)) {
+        console.warn(`⚠️ Rejected webhook request on ${path} with a wrong secret token`);
+        return res.sendStatus(401);
+      }
+
+      // Acknowledge first so a slow handler never makes Telegram retry the update
+      res.sendStatus(200);
+      try {
+        onUpdate(req.body);
+      } catch (error) {
+        console.error(`Error processing webhook update on ${path}:`, error);
+      }
+    });
+  }
+
+  // Dashboard API, always for the Telegram user in the Mini App init data
+  setupMiniAppRoutes() {
+    const member = this.requireAuth(['telegram']);
+
+    this.app.get('/api/app/membership', member, this.miniAppHandler(req => this.miniApp.getMembership(req.auth.userId)));
+    this.app.get('/api/app/plans', this.requireAuth(['telegram', 'apiKey']), this.miniAppHandler(() => this.miniApp.getPlans()));
+    this.app.get('/api/app/referrals', member, this.miniAppHandler(req => this.miniApp.getReferrals(req.auth.userId)));
+    this.app.get('/api/app/earnings', member, this.miniAppHandler(req => this.miniApp.getEarnings(req.auth.userId)));
+    this.app.get('/api/app/transactions', member, this.miniAppHandler(req => this.miniApp.getTransactions(req.auth.userId)));
+
+    // The wallet signs and sends; the server builds, validates and tracks
+    this.app.post('/api/app/transactions/prepare', member, this.miniAppHandler(req => this.miniApp.prepareTransaction(req.auth.userId, req.body)));
+    this.app.post('/api/app/transactions', member, this.miniAppHandler(req => this.miniApp.trackTransaction(req.auth.userId, req.body)));
+  }
+
   start() {
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(this.port, (err) => {
@@ -97,6 +255,7 @@ class SimpleServer {
           console.log(`🌐 API server started on port ${this.port}`);
           console.log(`   Health: http://localhost:${this.port}/health`);
           console.log(`   Wallet Status: http://localhost:${this.port}/api/wallet/status/:userId`);
+          console.log(`   Mini App: ${config.serverUrl}/app`);
           resolve();
         }
       });
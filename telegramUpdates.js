@@ -0,0 +1,73 @@
+const TelegramBot = require('node-telegram-bot-api');
+const config = require('./config');
+
+// Delivers Telegram updates to one bot, by long polling or through a webhook
+// mounted on the SimpleServer Express app. Telegram echoes the secret token
+// in every webhook request, so forged updates are rejected. If the webhook
+// cannot be registered the bot falls back to polling.
+class TelegramUpdates {
+  constructor(token, { name, label = name, mode = 'polling' }) {
+    this.name = name;
+    this.label = label;
+    this.mode = mode;
+    this.activeMode = null;
+    this.mounted = false;
+    this.bot = new TelegramBot(token, { polling: false });
+  }
+
+  getWebhookPath() {
+    return `/telegram/${this.name}`;
+  }
+
+  async start(server = null) {
+    if (this.mode === 'webhook') {
+      try {
+        await this.startWebhook(server);
+        return;
+      } catch (error) {
+        console.warn(`⚠️ ${this.label} webhook unavailable, falling back to polling:`, error.message);
+      }
+    }
+
+    await this.startPolling();
+  }
+
+  async startWebhook(server) {
+    if (!server) {
+      throw new Error('No API server to receive webhook requests');
+    }
+
+    if (!this.mounted) {
+      server.mountWebhook(this.getWebhookPath(), config.webhookSecret, (update) => this.bot.processUpdate(update));
+      this.mounted = true;
+    }
+
+    const url = `${config.webhookBaseUrl}${this.getWebhookPath()}`;
+    await this.bot.setWebHook(url, { secret_token: config.webhookSecret });
+
+    this.activeMode = 'webhook';
+    console.log(`🪝 ${this.label} receiving updates by webhook: ${url}`);
+  }
+
+  async startPolling() {
+    // getUpdates is refused while a webhook is registered for the bot
+    try {
+      await this.bot.deleteWebHook();
+    } catch (error) {
+      console.warn(`⚠️ ${this.label} could not remove webhook:`, error.message);
+    }
+
+    await this.bot.startPolling();
+    this.activeMode = 'polling';
+    console.log(`🔄 ${this.label} receiving updates by polling`);
+  }
+
+  async stop() {
+    if (this.activeMode === 'polling') {
+      await this.bot.stopPolling();
+    }
+    this.activeMode = null;
+  }
+}
+
+module.exports = TelegramUpdates;
@@ -0,0 +1,170 @@
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// Durable record of member transactions sent through WalletService. Pending
+// hashes are polled until they confirm, fail, drop out of the mempool or are
+// replaced by another transaction with the same nonce, and polling resumes
+// after a restart. Emits 'updated' (record) when a transaction settles.
+class TransactionTracker extends EventEmitter {
+  constructor({ contractService }, filePath = path.join(config.dataDir, 'transactions.json')) {
+    super();
+    this.contractService = contractService;
+    this.store = new JsonFileStore(filePath, { transactions: {} });
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  start() {
+    const pending = this.list({ status: 'pending' });
+    if (pending.length > 0) {
+      console.log(`🔁 Resuming tracking of ${pending.length} pending transaction(s)`);
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.pollPending().catch((error) => {
+        console.error('Error polling tracked transactions:', error);
+      });
+    }, config.txPollInterval);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // meta: { chatId, type, planId, notify }. notify=false records the
+  // transaction without a settle message (e.g. a step the caller awaits itself).
+  async track({ txHash, telegramUserId, from = null, description = null, meta = {} }) {
+    const data = this.store.load();
+    if (data.transactions[txHash]) return data.transactions[txHash];
+
+    const record = {
+      hash: txHash,
+      telegramUserId,
+      chatId: meta.chatId || telegramUserId,
+      type: meta.type || 'transaction',
+      planId: meta.planId || null,
+      description,
+      notify: meta.notify !== false,
+      from,
+      nonce: null,
+      status: 'pending',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      blockNumber: null,
+      gasUsed: null,
+      error: null,
+      errorName: null
+    };
+
+    data.transactions[txHash] = record;
+    await this.store.save();
+    return record;
+  }
+
+  get(txHash) {
+    return this.store.load().transactions[txHash] || null;
+  }
+
+  list({ telegramUserId, status } = {}) {
+    return Object.values(this.store.load().transactions)
+      .filter(record => telegramUserId === undefined || record.telegramUserId === telegramUserId)
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  getRecent(telegramUserId, limit = 10) {
+    return this.list({ telegramUserId }).slice(0, limit);
+  }
+
+  async pollPending() {
+    // A slow RPC round must not overlap with the next tick
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const record of this.list({ status: 'pending' })) {
+        try {
+          await this.checkRecord(record);
+        } catch (error) {
+          console.warn(`⚠️ Could not check transaction ${record.hash}:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkRecord(record) {
+    const status = await this.contractService.checkTransactionStatus(record.hash);
+
+    if (status.status === 'success') {
+      return await this.settle(record, 'confirmed', {
+        blockNumber: status.blockNumber,
+        gasUsed: status.gasUsed
+      });
+    }
+
+    if (status.status === 'failed') {
+      return await this.settle(record, 'failed', {
+        blockNumber: status.blockNumber,
+        gasUsed: status.gasUsed,
+        error: status.message,
+        errorName: status.errorName
+      });
+    }
+
+    if (status.status === 'error') {
+      throw new Error(status.message);
+    }
+
+    const provider = this.contractService.provider;
+
+    // Learn the nonce while the transaction is still visible in the mempool
+    if (status.status === 'pending' && record.nonce === null) {
+      const tx = await provider.getTransaction(record.hash);
+      if (tx) {
+        record.nonce = tx.nonce;
+        record.from = tx.from;
+        await this.store.save();
+      }
+    }
+
+    // Another transaction with the same nonce was mined (speed-up or cancel
+    // from the wallet), so this hash can never confirm
+    if (record.from && record.nonce !== null) {
+      const confirmedNonce = await provider.getTransactionCount(record.from, 'latest');
+      if (confirmedNonce > record.nonce) {
+        // Re-check in case the receipt landed between the two calls
+        const recheck = await this.contractService.checkTransactionStatus(record.hash);
+        if (recheck.status === 'not_found' || recheck.status === 'pending') {
+          return await this.settle(record, 'replaced', {
+            error: `Nonce ${record.nonce} was used by another transaction`
+          });
+        }
+        return;
+      }
+    }
+
+    if (status.status === 'not_found' && Date.now() - record.createdAt > config.txDropTimeout) {
+      return await this.settle(record, 'dropped', {
+        error: 'Transaction is no longer known to the network'
+      });
+    }
+  }
+
+  // status: confirmed, failed, dropped or replaced
+  async settle(record, status, fields = {}) {
+    Object.assign(record, fields, { status, updatedAt: Date.now() });
+    await this.store.save();
+
+    this.emit('updated', record);
+    return record;
+  }
+}
+
+module.exports = TransactionTracker;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('./config');
+const JsonFileStore = require('./jsonFileStore');
+
+// Durable Telegram user <-> address bindings proven with Sign-In with
+// Ethereum (EIP-4361). The user signs a nonce-bound message with
+// personal_sign, either over WalletConnect (/link) or in connect.html, and
+// the binding outlives the wallet session so read-only commands keep working.
+class WalletLinkService {
+  constructor(filePath = path.join(config.dataDir, 'wallet-links.json')) {
+    this.store = new JsonFileStore(filePath, { links: {} });
+    this.challenges = new Map(); // telegram_user_id -> { nonce, address, chainId, message, expiresAt }
+  }
+
+  // https://eips.ethereum.org/EIPS/eip-4361#example-message
+  buildSiweMessage({ telegramUserId, address, chainId, nonce, issuedAt, expiresAt }) {
+    return [
+      `${config.siweDomain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      `Link Telegram account ${telegramUserId} to this wallet for Crypto Membership NFT.`,
+      '',
+      `URI: ${config.siweUri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date(issuedAt).toISOString()}`,
+      `Expiration Time: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+  }
+
+  createChallenge(telegramUserId, address, chainId = config.chainId) {
+    if (!ethers.isAddress(address)) {
+      throw new Error('Invalid wallet address');
+    }
+    if (!Number.isInteger(parseInt(chainId))) {
+      throw new Error('Invalid chain ID');
+    }
+
+    this.cleanupChallenges();
+
+    const issuedAt = Date.now();
+    const challenge = {
+      nonce: crypto.randomBytes(16).toString('hex'),
+      address: ethers.getAddress(address),
+      chainId: parseInt(chainId),
+      expiresAt: issuedAt + config.walletProofTtl
+    };
+    challenge.message = this.buildSiweMessage({ telegramUserId, ...challenge, issuedAt });
+
+    // Only the latest challenge per user can be answered
+    this.challenges.set(telegramUserId, challenge);
+    return { message: challenge.message, nonce: challenge.nonce, expiresAt: challenge.expiresAt };
+  }
+
+  // Checks the signature against the outstanding challenge and stores the
+  // binding. method records where it was signed ('walletconnect' or 'browser').
+  async verifyAndLink(telegramUserId, { address, nonce, signature }, method) {
+    const challenge = this.challenges.get(telegramUserId);
+    if (!challenge || challenge.nonce !== nonce) {
+      throw new Error('No matching sign-in request, request a new one');
+    }
+
+    // A nonce can be answered once, whether or not the proof is valid
+    this.challenges.delete(telegramUserId);
+
+    if (Date.now() > challenge.expiresAt) {
+      throw new Error('Sign-in request expired, request a new one');
+    }
+    if (!ethers.isAddress(address) || ethers.getAddress(address) !== challenge.address) {
+      throw new Error('Address does not match the sign-in request');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(challenge.message, signature);
+    } catch (error) {
+      throw new Error('Malformed signature');
+    }
+    if (signer !== challenge.address) {
+      throw new Error('Signature was not made by this address');
+    }
+
+    const link = {
+      address: challenge.address,
+      chainId: challenge.chainId,
+      method,
+      linkedAt: Date.now()
+    };
+
+    this.store.load().links[telegramUserId] = link;
+    await this.store.save();
+
+    console.log(`🔐 Linked wallet ${link.address} to Telegram user ${telegramUserId} (${method})`);
+    return link;
+  }
+
+  getLink(telegramUserId) {
+    return this.store.load().links[telegramUserId] || null;
+  }
+
+  async unlink(telegramUserId) {
+    const data = this.store.load();
+    if (!data.links[telegramUserId]) return false;
+
+    delete data.links[telegramUserId];
+    await this.store.save();
+    return true;
+  }
+
+  cleanupChallenges() {
+    const now = Date.now();
+    for (const [telegramUserId, challenge] of this.challenges.entries()) {
+      if (now > challenge.expiresAt) {
+        this.challenges.delete(telegramUserId);
+      }
+    }
+  }
+}
+
+module.exports = WalletLinkService;
@@ -10,16 +10,20 @@ const {
 } = require('uuid');
 const config = require('./config');
 const crypto = require('crypto');
+const { ethers } = require('ethers');
 const EventEmitter = require('events');
+const { createSessionStore } = require('./sessionStore');
 
 class WalletService extends EventEmitter {
-  constructor() {
+  constructor(sessionStore = createSessionStore()) {
     super();
     this.sessions = new Map(); // session_id -> session_data
     this.userSessions = new Map(); // telegram_user_id -> session_id
     this.pendingTransactions = new Map(); // session_id -> pending_tx_data
+    this.pipelines = new Map(); // session_id -> pipeline_state
+    this.sessionStore = sessionStore;
     this.signClient = null;
-    this.initializeSignClient();
+    this.ready = this.initializeSignClient();
   }
 
   async initializeSignClient() {
@@ -35,13 +39,206 @@ class WalletService extends EventEmitter {
       });
 
       console.log('✅ WalletConnect SignClient initialized');
+
+      // Wallet-side disconnects and expiries end our session too
+      this.signClient.on('session_delete', ({ topic }) => this.handleRemoteSessionEnd(topic));
+      this.signClient.on('session_expire', ({ topic }) => this.handleRemoteSessionEnd(topic));
     } catch (error) {
       console.warn('⚠️ WalletConnect SignClient failed to initialize:', error.message);
       console.log('🔧 Falling back to manual URI generation');
     }
+
+    await this.restoreSessions();
+  }
+
+  // === SESSION PERSISTENCE ===
+
+  createSignClientConnector(uri, approval = null) {
+    return {
+      uri: uri,
+      connected: false,
+      accounts: [],
+      chainId: null,
+      approval: approval,
+      signClient: this.signClient,
+      topic: null,
+
+      _eventEmitter: new EventEmitter(),
+      on: function (event, callback) {
+        this._eventEmitter.on(event, callback);
+      },
+      off: function (event, callback) {
+        this._eventEmitter.off(event, callback);
+      },
+      emit: function (event, ...args) {
+        this._eventEmitter.emit(event, ...args);
+      }
+    };
+  }
+
+  async persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.connected) return;
+
+    try {
+      await this.sessionStore.save(sessionId, {
+        id: session.id,
+        telegramUserId: session.telegramUserId,
+        address: session.address,
+        chainId: session.chainId,
+        topic: session.connector?.topic || null,
+        uri: session.uri,
+        createdAt: session.createdAt,
+        lastActivity: session.lastActivity,
+        purpose: session.purpose,
+        readOnly: Boolean(session.readOnly)
+      });
+    } catch (error) {
+      console.error('Error persisting wallet session:', error);
+    }
   }
 
-  async createWalletConnectSession(telegramUserId) {
+  async restoreSessions() {
+    let records;
+    try {
+      records = await this.sessionStore.loadAll();
+    } catch (error) {
+      console.error('Error loading persisted wallet sessions:', error);
+      return;
+    }
+
+    const liveTopics = new Set(this.signClient ? this.signClient.session.keys : []);
+    let restored = 0;
+
+    for (const record of records) {
+      const expired = Date.now() - record.lastActivity > 30 * 60 * 1000;
+
+      if (expired) {
+        await this.sessionStore.remove(record.id).catch(() => {});
+        continue;
+      }
+
+      if (record.readOnly) {
+        this.sessions.set(record.id, this.buildReadOnlySession(record));
+        this.userSessions.set(record.telegramUserId, record.id);
+        restored++;
+        continue;
+      }
+
+      // Only sessions the SignClient still knows about can sign transactions
+      if (!record.topic || !liveTopics.has(record.topic)) {
+        await this.sessionStore.remove(record.id).catch(() => {});
+        continue;
+      }
+
+      const connector = this.createSignClientConnector(record.uri);
+      connector.connected = true;
+      connector.topic = record.topic;
+      connector.chainId = record.chainId;
+      connector.accounts = [`eip155:${record.chainId}:${record.address}`];
+
+      this.sessions.set(record.id, {
+        id: record.id,
+        telegramUserId: record.telegramUserId,
+        connector,
+        connected: true,
+        address: record.address,
+        chainId: record.chainId,
+        createdAt: record.createdAt,
+        lastActivity: record.lastActivity,
+        uri: record.uri,
+        isManual: false,
+        notificationSent: true,
+        purpose: record.purpose || 'member'
+      });
+      this.userSessions.set(record.telegramUserId, record.id);
+      restored++;
+    }
+
+    if (restored > 0) {
+      console.log(`♻️ Restored ${restored} wallet session(s) from ${config.sessionStore} store`);
+    }
+  }
+
+  // === READ-ONLY SESSIONS ===
+
+  // Read-only sessions come from a browser wallet that signed in with SIWE
+  // (see WalletLinkService). They know the member's address but cannot
+  // sign, so transactions still need a WalletConnect session
+  buildReadOnlySession(record) {
+    return {
+      id: record.id,
+      telegramUserId: record.telegramUserId,
+      connector: { connected: true, accounts: [record.address], chainId: record.chainId, topic: null },
+      connected: true,
+      address: record.address,
+      chainId: record.chainId,
+      createdAt: record.createdAt,
+      lastActivity: record.lastActivity,
+      uri: null,
+      isManual: false,
+      notificationSent: true,
+      purpose: 'member',
+      readOnly: true
+    };
+  }
+
+  // A live WalletConnect session is never replaced by a read-only one: the
+  // proof only links the address and the signing session is returned as is.
+  // Resolves to { sessionId, address, readOnly }.
+  async registerReadOnlySession(telegramUserId, address, chainId) {
+    await this.ready;
+
+    const existing = await this.checkConnection(telegramUserId);
+    if (existing.connected && !existing.readOnly) {
+      console.log(`👁️ Keeping signing session for user ${telegramUserId} (${existing.address}), ${address} only linked`);
+      return { sessionId: existing.sessionId, address: existing.address, readOnly: false };
+    }
+
+    if (this.userSessions.has(telegramUserId)) {
+      await this.disconnectWallet(telegramUserId);
+    }
+
+    const sessionId = uuidv4();
+    const session = this.buildReadOnlySession({
+      id: sessionId,
+      telegramUserId,
+      address,
+      chainId,
+      createdAt: Date.now(),
+      lastActivity: Date.now()
+    });
+    session.notificationSent = false;
+    this.sessions.set(sessionId, session);
+    this.userSessions.set(telegramUserId, sessionId);
+    await this.persistSession(sessionId);
+
+    console.log(`👁️ Read-only wallet session for user ${telegramUserId}: ${address}`);
+
+    this.emit('walletConnected', {
+      telegramUserId,
+      address,
+      chainId,
+      sessionId,
+      purpose: 'member',
+      readOnly: true
+    });
+
+    return { sessionId, address, readOnly: true };
+  }
+
+  async handleRemoteSessionEnd(topic) {
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.connector?.topic === topic) {
+        console.log(`🔌 WalletConnect session ended by wallet: ${sessionId}`);
+        await this.cleanupSession(sessionId);
+      }
+    }
+  }
+
+  // purpose tags who the session belongs to ('member' or 'admin') so each
+  // bot only reacts to its own connections
+  async createWalletConnectSession(telegramUserId, { purpose = 'member' } = {}) {
     try {
       const sessionId = uuidv4();
       let uri = null;
@@ -75,26 +272,7 @@ class WalletService extends EventEmitter {
 
           uri = wcUri;
 
-          connector = {
-            uri: uri,
-            connected: false,
-            accounts: [],
-            chainId: null,
-            approval: approval,
-            signClient: this.signClient,
-            topic: null,
-
-            _eventEmitter: new EventEmitter(),
-            on: function (event, callback) {
-              this._eventEmitter.on(event, callback);
-            },
-            off: function (event, callback) {
-              this._eventEmitter.off(event, callback);
-            },
-            emit: function (event, ...args) {
-              this._eventEmitter.emit(event, ...args);
-            }
-          };
+          connector = this.createSignClientConnector(uri, approval);
 
           approval().then(async (session) => {
             console.log('✅ WalletConnect v2 session approved:', session);
@@ -147,12 +325,15 @@ class WalletService extends EventEmitter {
                   match: chainId === config.chainId
                 });
 
+                await this.persistSession(sessionId);
+
                 // Emit event for listeners
                 this.emit('walletConnected', {
                   telegramUserId: sessionData.telegramUserId,
                   address: address,
                   chainId: chainId,
-                  sessionId: sessionId
+                  sessionId: sessionId,
+                  purpose: sessionData.purpose
                 });
               }
 
@@ -218,7 +399,8 @@ class WalletService extends EventEmitter {
         createdAt: Date.now(),
         lastActivity: Date.now(),
         uri: uri,
-        isManual: !this.signClient || !process.env.WALLETCONNECT_PROJECT_ID
+        isManual: !this.signClient || !process.env.WALLETCONNECT_PROJECT_ID,
+        purpose
       };
 
       this.sessions.set(sessionId, sessionData);
@@ -333,6 +515,8 @@ class WalletService extends EventEmitter {
   }
 
   async checkConnection(telegramUserId) {
+    await this.ready;
+
     const sessionId = this.userSessions.get(telegramUserId);
     if (!sessionId) {
       return {
@@ -362,11 +546,14 @@ class WalletService extends EventEmitter {
       connected: session.connected,
       address: session.address,
       chainId: session.chainId,
-      sessionId: session.id
+      sessionId: session.id,
+      readOnly: Boolean(session.readOnly)
     };
   }
 
-  async sendTransaction(telegramUserId, transactionData, description = 'Transaction') {
+  // meta is passed through untouched on the 'transactionSent' event
+  // (e.g. { chatId, type, planId } for the transaction tracker)
+  async sendTransaction(telegramUserId, transactionData, description = 'Transaction', meta = {}) {
     try {
       const connection = await this.checkConnection(telegramUserId);
       if (!connection.connected) {
@@ -376,6 +563,10 @@ class WalletService extends EventEmitter {
       const sessionId = this.userSessions.get(telegramUserId);
       const session = this.sessions.get(sessionId);
 
+      if (session.readOnly) {
+        throw new Error('This wallet was connected from the browser in read-only mode. Use /connect with WalletConnect to sign transactions.');
+      }
+
       if (!session.connector.signClient || !session.connector.topic) {
         throw new Error('WalletConnect session not properly established. Please reconnect your wallet.');
       }
@@ -388,10 +579,17 @@ class WalletService extends EventEmitter {
         data: transactionData.data || '0x',
         value: transactionData.value || '0x0',
         gas: transactionData.gasLimit || config.gasLimit,
-        gasPrice: transactionData.gasPrice || config.gasPrice,
         chainId: `0x${requiredChainId.toString(16)}`
       };
 
+      // EIP-1559 fee fields when ContractService.prepareTransaction chose them
+      if (transactionData.maxFeePerGas) {
+        txRequest.maxFeePerGas = transactionData.maxFeePerGas;
+        txRequest.maxPriorityFeePerGas = transactionData.maxPriorityFeePerGas;
+      } else {
+        txRequest.gasPrice = transactionData.gasPrice || config.gasPrice;
+      }
+
       console.log('📝 Sending transaction request to WalletConnect...');
 
       const txId = uuidv4();
@@ -433,6 +631,16 @@ class WalletService extends EventEmitter {
       }
 
       session.lastActivity = Date.now();
+      await this.persistSession(sessionId);
+
+      this.emit('transactionSent', {
+        telegramUserId,
+        txHash: result,
+        from: session.address,
+        description,
+        purpose: session.purpose,
+        meta
+      });
 
       return {
         success: true,
@@ -464,6 +672,131 @@ class WalletService extends EventEmitter {
       throw new Error(`Transaction failed: ${error.message}`);
     }
   }
+
+  // personal_sign (EIP-191) over the WalletConnect session, used for SIWE
+  async signMessage(telegramUserId, message) {
+    const connection = await this.checkConnection(telegramUserId);
+    if (!connection.connected) {
+      throw new Error('Wallet not connected');
+    }
+
+    const session = this.sessions.get(connection.sessionId);
+    if (session.readOnly || !session.connector.signClient || !session.connector.topic) {
+      throw new Error('Signing needs a WalletConnect session. Use /connect first.');
+    }
+
+    const requestPromise = session.connector.signClient.request({
+      topic: session.connector.topic,
+      chainId: `eip155:${config.chainId}`,
+      request: {
+        method: 'personal_sign',
+        params: [ethers.hexlify(ethers.toUtf8Bytes(message)), session.address]
+      }
+    });
+
+    this.attemptWalletRedirect(session);
+
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Signature request timed out (60s). Please try again.')), 60000);
+    });
+
+    try {
+      const signature = await Promise.race([requestPromise, timeoutPromise]);
+      session.lastActivity = Date.now();
+      await this.persistSession(connection.sessionId);
+      return signature;
+    } catch (error) {
+      if (error.message.includes('User rejected')) {
+        throw new Error('Signature was rejected by user');
+      }
+      throw error;
+    }
+  }
+
+  // Runs ordered transaction steps (e.g. approve then register), waiting for
+  // each receipt before sending the next. Each step is
+  // { name, description, buildTransaction: async () => txData, skipIf?: async () => bool, meta? }.
+  // onProgress receives { index, total, step, status, txHash, error } where
+  // status is skipped, sending, sent, confirmed or failed.
+  async runTransactionPipeline(telegramUserId, steps, { waitForConfirmation, onProgress = async () => {} } = {}) {
+    if (typeof waitForConfirmation !== 'function') {
+      throw new Error('Transaction pipeline requires a waitForConfirmation function');
+    }
+
+    const connection = await this.checkConnection(telegramUserId);
+    if (!connection.connected) {
+      throw new Error('Wallet not connected');
+    }
+
+    const sessionId = connection.sessionId;
+    const active = this.pipelines.get(sessionId);
+    if (active && active.status === 'running') {
+      throw new Error('Another multi-step transaction is already in progress');
+    }
+
+    const pipeline = {
+      id: uuidv4(),
+      status: 'running',
+      startedAt: Date.now(),
+      steps: steps.map(step => ({ name: step.name, status: 'waiting', txHash: null }))
+    };
+    this.pipelines.set(sessionId, pipeline);
+
+    const report = async (index, status, extra = {}) => {
+      pipeline.steps[index].status = status;
+      if (extra.txHash) pipeline.steps[index].txHash = extra.txHash;
+
+      const progress = { index, total: steps.length, step: steps[index], status, ...extra };
+      this.emit('pipelineProgress', { telegramUserId, pipelineId: pipeline.id, ...progress });
+      try {
+        await onProgress(progress);
+      } catch (error) {
+        console.warn('Pipeline progress callback error:', error.message);
+      }
+    };
+
+    try {
+      for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+
+        // Preconditions are re-checked right before each step since earlier
+        // steps change on-chain state
+        if (step.skipIf && await step.skipIf()) {
+          await report(index, 'skipped');
+          continue;
+        }
+
+        const txData = await step.buildTransaction();
+        await report(index, 'sending', { gasCost: txData.gasCost });
+        const result = await this.sendTransaction(telegramUserId, txData, step.description || step.name, step.meta);
+        await report(index, 'sent', { txHash: result.txHash });
+
+        await waitForConfirmation(result.txHash);
+        await report(index, 'confirmed', { txHash: result.txHash });
+      }
+
+      pipeline.status = 'completed';
+      return {
+        success: true,
+        pipelineId: pipeline.id,
+        steps: pipeline.steps
+      };
+    } catch (error) {
+      const failedIndex = pipeline.steps.findIndex(step => step.status === 'sending' || step.status === 'sent');
+      pipeline.status = 'failed';
+      if (failedIndex !== -1) {
+        await report(failedIndex, 'failed', { error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  getPipeline(telegramUserId) {
+    const sessionId = this.userSessions.get(telegramUserId);
+    if (!sessionId) return null;
+    return this.pipelines.get(sessionId) || null;
+  }
+
   attemptWalletRedirect(session) {
     try {
       // สร้าง deep links สำหรับ wallets ต่างๆ
@@ -528,6 +861,7 @@ class WalletService extends EventEmitter {
         const chainId = parseInt(chainIdHex, 16);
         session.chainId = chainId;
         session.lastActivity = Date.now();
+        await this.persistSession(sessionId);
 
         console.log('🔄 Refreshed chainId:', chainId);
         return chainId;
@@ -579,6 +913,13 @@ class WalletService extends EventEmitter {
       this.userSessions.delete(session.telegramUserId);
       this.sessions.delete(sessionId);
       this.pendingTransactions.delete(sessionId);
+      this.pipelines.delete(sessionId);
+    }
+
+    try {
+      await this.sessionStore.remove(sessionId);
+    } catch (error) {
+      console.error('Error removing persisted wallet session:', error);
     }
   }
 
@@ -608,11 +949,13 @@ class WalletService extends EventEmitter {
     const totalSessions = this.sessions.size;
     const connectedSessions = Array.from(this.sessions.values()).filter(s => s.connected).length;
     const pendingTxCount = this.pendingTransactions.size;
+    const runningPipelines = Array.from(this.pipelines.values()).filter(p => p.status === 'running').length;
 
     return {
       totalSessions,
       connectedSessions,
       pendingTransactions: pendingTxCount,
+      runningPipelines,
       activeSessions: this.userSessions.size
     };
   }